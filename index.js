@@ -0,0 +1,15 @@
+const { scan, createScanner } = require("./lib/scan");
+const { migrate } = require("./lib/migrate");
+const { countingModes } = require("./lib/config");
+const { exportKinds } = require("./lib/kinds");
+const { registerReporter, getReporter } = require("./lib/reporters");
+
+module.exports = {
+  scan,
+  createScanner,
+  migrate,
+  countingModes,
+  exportKinds,
+  registerReporter,
+  getReporter,
+};
@@ -0,0 +1,414 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { parseSource, walk, memberPath, locate } = require("./ast");
+const {
+  collectImports,
+  collectDynamicImports,
+  collectExports,
+  subpathExportName,
+} = require("./imports");
+const { collectProps } = require("./props");
+const { splitComponentFile } = require("./sfc");
+
+// Where an expression is passed on as a value rather than rendered or
+// called, by the type of the node holding it: `component={Button}`,
+// `[{ path: "/", element: Home }]`, `withRouter(Page)`, `const Icon = Star`
+const valuePositions = {
+  JSXExpressionContainer: (node) => [node.expression],
+  ArrayExpression: (node) => node.elements,
+  ObjectExpression: (node) => node.properties.map((property) => property.value),
+  CallExpression: (node) => node.arguments,
+  NewExpression: (node) => node.arguments,
+  VariableDeclarator: (node) => [node.init],
+  AssignmentExpression: (node) => [node.right],
+  AssignmentPattern: (node) => [node.right],
+  ConditionalExpression: (node) => [node.consequent, node.alternate],
+  LogicalExpression: (node) => [node.left, node.right],
+  ReturnStatement: (node) => [node.argument],
+  ArrowFunctionExpression: (node) => [node.body],
+};
+
+/**
+ * Name an import is tracked under: named imports by export name, default
+ * imports by their local name (or the export a deep import path maps to) and
+ * namespace imports as `*Alias`. Default exports loaded by an unbound
+ * dynamic import go by their subpath, or "default".
+ */
+function trackedName(entry, options) {
+  if (entry.kind === "named") {
+    return entry.imported;
+  }
+  if (entry.kind === "namespace") {
+    return `*${entry.local}`;
+  }
+  return (
+    subpathExportName(entry, options) ||
+    entry.local ||
+    subpathExportName(entry, { ...options, mapSubpaths: true }) ||
+    "default"
+  );
+}
+
+/**
+ * Name a package re-export is tracked under, or null when only the file
+ * importing it can name it (`export { default } from "@acme/ui/Button"`)
+ */
+function reexportedName(entry, options) {
+  if (entry.imported !== "default") {
+    return entry.imported;
+  }
+  const mapped = subpathExportName(entry, options);
+  if (mapped) {
+    return mapped;
+  }
+  return entry.exported === "default" ? null : entry.exported;
+}
+
+/**
+ * Describe a module's exports for linking: package re-exports by the
+ * component they export (`{ exported, source, specifier, component }`,
+ * with a null component for `export *`), re-exports of other modules by
+ * `{ exported, specifier, imported }` and exported local bindings by
+ * `{ exported, local }`. Namespace re-exports of a package
+ * (`export * as Ui from "@acme/ui"`) are not followed.
+ */
+function describeExports(exports, options) {
+  const described = [];
+
+  for (const entry of exports) {
+    const { exported, source, specifier, imported, local } = entry;
+    if (!specifier) {
+      described.push({ exported, local });
+    } else if (!source) {
+      described.push({ exported, specifier, imported });
+    } else if (exported === "*") {
+      described.push({ exported, source, specifier, component: null });
+    } else if (imported !== "*") {
+      const component = reexportedName(entry, options);
+      described.push({ exported, source, specifier, component });
+    }
+  }
+
+  return described;
+}
+
+/**
+ * Unwrap calls such as memo() and forwardRef() around a component function
+ */
+function componentFunction(node) {
+  while (node && node.type === "CallExpression") {
+    node = node.arguments[0];
+  }
+  return node &&
+    (node.type === "ArrowFunctionExpression" ||
+      node.type === "FunctionExpression" ||
+      node.type === "FunctionDeclaration")
+    ? node
+    : null;
+}
+
+/**
+ * The JSX element a function component returns at its root, if any
+ */
+function renderedElement(fn) {
+  if (fn.body.type !== "BlockStatement") {
+    return fn.body.type === "JSXElement" ? fn.body : null;
+  }
+  const returns = fn.body.body.filter(
+    (node) => node.type === "ReturnStatement"
+  );
+  const last = returns[returns.length - 1];
+  return last && last.argument && last.argument.type === "JSXElement"
+    ? last.argument
+    : null;
+}
+
+/**
+ * Components declared at the top level of a file that render another
+ * component at their root, like `const Primary = (p) => <Button {...p} />`.
+ * Returns `{ name, local, member, line }` entries, where `local` (and
+ * `member` for `<Ns.Button>`) names the binding of the wrapped component.
+ */
+function findWrappers(ast) {
+  const wrappers = [];
+
+  for (let node of ast.program.body) {
+    if (
+      (node.type === "ExportNamedDeclaration" ||
+        node.type === "ExportDefaultDeclaration") &&
+      node.declaration
+    ) {
+      node = node.declaration;
+    }
+
+    let candidates = [];
+    if (node.type === "FunctionDeclaration" && node.id) {
+      candidates = [{ name: node.id.name, fn: node }];
+    } else if (node.type === "VariableDeclaration") {
+      candidates = node.declarations
+        .filter((declarator) => declarator.id.type === "Identifier")
+        .map((declarator) => ({
+          name: declarator.id.name,
+          fn: componentFunction(declarator.init),
+        }));
+    }
+
+    for (const { name, fn } of candidates) {
+      // Components are capitalized; anything else is a helper function
+      if (!fn || !/^[A-Z]/.test(name)) {
+        continue;
+      }
+      const element = renderedElement(fn);
+      const parts = element && memberPath(element.openingElement.name);
+      if (parts && parts[0] !== name) {
+        wrappers.push({
+          name,
+          local: parts[0],
+          member: parts[1],
+          line: node.loc.start.line,
+        });
+      }
+    }
+  }
+
+  return wrappers;
+}
+
+/**
+ * Map a JSX tag name or call callee onto the local binding it uses.
+ * `<Local.Sub>` counts towards `Local`, while members of namespace imports
+ * count individually. Returns `{ binding, local, member }`, with `member`
+ * only set for namespaces, or null.
+ */
+function resolveName(nameNode, isJSX, bindings) {
+  const parts = memberPath(nameNode);
+  return parts && resolvePath(parts, isJSX, bindings);
+}
+
+/**
+ * Same as resolveName(), from the dotted parts of a name
+ */
+function resolvePath(parts, isJSX, bindings) {
+  const [local, member] = parts;
+  const binding = bindings[local];
+  if (!binding) {
+    return null;
+  }
+  if (binding.namespace || binding.imported === "*") {
+    return member ? { binding, local, member } : null;
+  }
+  if (isJSX || parts.length === 1) {
+    return { binding, local };
+  }
+  return null;
+}
+
+/**
+ * Kind of import a binding to one of the project's own modules makes: the
+ * export name, "default" or "*" for namespace imports
+ */
+function importedName(entry) {
+  if (entry.kind === "named") {
+    return entry.imported;
+  }
+  return entry.kind === "namespace" ? "*" : "default";
+}
+
+/**
+ * Find the imports from the target packages in one file and the usages of
+ * what it imports. The result only holds plain data, so it can be produced
+ * in a worker thread:
+ * `{ file, imports: [{ source, specifier, component }],
+ *    usages: [{ source, component, kind, line, column, snippet, props? }] }`
+ * where kind is "jsx", "call", "value" for components passed on as values
+ * or "dynamic" for dynamic imports. Members of namespace imports
+ * (`<Ui.Button>`) are credited to the export and note the alias as
+ * `namespace`.
+ *
+ * Usages that go through other modules of the project or through wrapper
+ * components are credited later by linkProject(), from the file's
+ * `bindings` (local name -> package component, `{ specifier, imported }` or
+ * `{ wrapper: true }`), `exports`, `wrappers` and the `references` to those
+ * bindings.
+ */
+function analyzeSource(content, filePath, options) {
+  const file = path.relative(process.cwd(), filePath);
+  // Vue, Svelte, Astro and MDX files: parse the script and look for tags in
+  // the markup
+  const singleFile = splitComponentFile(content, filePath);
+  const ast = singleFile
+    ? parseSource(singleFile.script, filePath, singleFile.scriptExtension)
+    : parseSource(content, filePath);
+  const lines = content.split(/\r?\n/);
+
+  // Usages are found by the local binding name and counted under the
+  // export it refers to: { Button as AcmeButton } makes <AcmeButton> count
+  // as Button
+  const bindings = {};
+  const imports = [];
+  const dynamicImports = collectDynamicImports(ast, options.packages);
+  for (const entry of [
+    ...collectImports(ast, options.packages),
+    ...dynamicImports,
+  ]) {
+    if (!entry.local) {
+      // Dynamic imports bound to nothing are only counted where they are
+      if (entry.source) {
+        imports.push({
+          source: entry.source,
+          specifier: entry.specifier,
+          component: trackedName(entry, options),
+        });
+      }
+      continue;
+    }
+    if (!entry.source) {
+      bindings[entry.local] = {
+        specifier: entry.specifier,
+        imported: importedName(entry),
+      };
+      continue;
+    }
+
+    const component = trackedName(entry, options);
+    bindings[entry.local] = {
+      source: entry.source,
+      component,
+      namespace: entry.kind === "namespace",
+    };
+    imports.push({
+      source: entry.source,
+      specifier: entry.specifier,
+      component,
+    });
+  }
+
+  // Re-exporting from a package counts as importing from it
+  const exports = describeExports(
+    collectExports(ast, options.packages),
+    options
+  );
+  for (const { source, specifier, component } of exports) {
+    if (source && component) {
+      imports.push({ source, specifier, component });
+    }
+  }
+
+  const wrappers = findWrappers(ast);
+  for (const { name } of wrappers) {
+    if (!bindings[name]) {
+      bindings[name] = { wrapper: true };
+    }
+  }
+
+  const usages = [];
+  const references = [];
+  function record({ binding, local, member }, occurrence) {
+    if (!binding.source) {
+      references.push({ local, member, ...occurrence });
+    } else if (binding.namespace) {
+      usages.push({
+        source: binding.source,
+        component: member,
+        ...occurrence,
+        namespace: local,
+      });
+    } else {
+      usages.push({
+        source: binding.source,
+        component: binding.component,
+        ...occurrence,
+      });
+    }
+  }
+
+  // Dynamic imports are usages of what they load, except for whole modules
+  // whose members are counted as they are used
+  for (const entry of dynamicImports) {
+    const occurrence = { kind: "dynamic", ...locate(entry.node, lines) };
+    if (entry.local && entry.kind !== "namespace") {
+      record(
+        { binding: bindings[entry.local], local: entry.local },
+        occurrence
+      );
+    } else if (!entry.local && entry.source) {
+      usages.push({
+        source: entry.source,
+        component: trackedName(entry, options),
+        ...occurrence,
+      });
+    }
+  }
+
+  // Components passed on as values: `component={Button}`, route configs
+  function recordValues(node) {
+    for (const value of valuePositions[node.type](node)) {
+      const resolved =
+        value &&
+        (value.type === "Identifier" || value.type === "MemberExpression") &&
+        resolveName(value, false, bindings);
+      if (resolved) {
+        record(resolved, { kind: "value", ...locate(value, lines) });
+      }
+    }
+  }
+
+  if (Object.keys(bindings).length > 0) {
+    const visitor = {
+      // Opening and self-closing tags: <Component ...> and <Component ... />.
+      // Closing tags are separate JSXClosingElement nodes, so never counted.
+      JSXOpeningElement(node) {
+        const resolved = resolveName(node.name, true, bindings);
+        if (resolved) {
+          record(resolved, {
+            kind: "jsx",
+            ...locate(node, lines),
+            props: collectProps(node),
+          });
+        }
+      },
+
+      // Function calls: Component(...) and Namespace.Component(...)
+      CallExpression(node) {
+        const resolved = resolveName(node.callee, false, bindings);
+        if (resolved) {
+          record(resolved, { kind: "call", ...locate(node, lines) });
+        }
+        recordValues(node);
+      },
+    };
+    for (const type of Object.keys(valuePositions)) {
+      visitor[type] = visitor[type] || recordValues;
+    }
+    walk(ast, visitor);
+
+    // Tags in the markup of single-file components count as JSX
+    for (const tag of singleFile ? singleFile.tags : []) {
+      const resolved = resolvePath(tag.path, true, bindings);
+      if (resolved) {
+        record(resolved, {
+          kind: "jsx",
+          ...locate(tag, lines),
+          props: tag.props,
+        });
+      }
+    }
+  }
+
+  return { file, imports, usages, bindings, exports, wrappers, references };
+}
+
+/**
+ * Read and analyze a single file
+ */
+async function analyzeFile(filePath, options) {
+  const content = await readFile(filePath, "utf8");
+  return analyzeSource(content, filePath, options);
+}
+
+module.exports = {
+  analyzeSource,
+  analyzeFile,
+};
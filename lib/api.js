@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+const { parseSource, walk, memberPath } = require("./ast");
+const { collectExports, subpathExportName } = require("./imports");
+const { kindFromName, declarationKinds, typeExportNames } = require("./kinds");
+const { exists, findUp } = require("./paths");
+
+// Extensions tried when resolving entry points and relative re-exports,
+// declaration files first since they list exports most reliably
+const moduleExtensions = [
+  ".d.ts",
+  ".d.mts",
+  ".d.cts",
+  ".ts",
+  ".tsx",
+  ".mjs",
+  ".js",
+  ".cjs",
+  ".jsx",
+];
+
+// Conditions of the package.json "exports" field, most useful first
+const conditions = ["types", "import", "module", "require", "default"];
+
+/**
+ * Find a package's directory: from `packagePaths`, or in node_modules from
+ * `startDir` upwards
+ */
+async function findPackageDir(packageName, startDir, packagePaths) {
+  if (packagePaths[packageName]) {
+    return path.resolve(packagePaths[packageName]);
+  }
+
+  const dir = await findUp(startDir, (candidate) =>
+    exists(path.join(candidate, "node_modules", packageName, "package.json"))
+  );
+  return dir && path.join(dir, "node_modules", packageName);
+}
+
+/**
+ * File an "exports" field entry points to, preferring type declarations
+ */
+function exportTarget(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(exportTarget).find(Boolean) || null;
+  }
+  if (value && typeof value === "object") {
+    for (const condition of conditions) {
+      const target = value[condition] && exportTarget(value[condition]);
+      if (target) {
+        return target;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Entry points of a package as `{ subpath, file }`, with a null subpath for
+ * the package root. Wildcard subpaths are skipped.
+ */
+function entryPoints(packageJson) {
+  const { exports } = packageJson;
+  const isSubpathMap =
+    exports &&
+    typeof exports === "object" &&
+    !Array.isArray(exports) &&
+    Object.keys(exports).some((key) => key.startsWith("."));
+
+  if (!isSubpathMap) {
+    const file =
+      (exports && exportTarget(exports)) ||
+      packageJson.types ||
+      packageJson.typings ||
+      packageJson.module ||
+      packageJson.main ||
+      "index.js";
+    return [{ subpath: null, file }];
+  }
+
+  return Object.entries(exports)
+    .filter(([key]) => !key.includes("*") && key !== "./package.json")
+    .map(([key, value]) => ({
+      subpath: key === "." ? null : key.slice(2),
+      file: exportTarget(value),
+    }))
+    .filter(({ file }) => file);
+}
+
+/**
+ * Resolve a module path to a file, trying extensions and index files. For
+ * "./Button.js", the Button.d.ts next to it is preferred.
+ */
+async function resolveModuleFile(basePath) {
+  const stem = basePath.replace(/\.[cm]?jsx?$/, "");
+  const candidates = [
+    ...moduleExtensions.map((ext) => `${stem}${ext}`),
+    basePath,
+    ...moduleExtensions.map((ext) => `${basePath}${ext}`),
+    ...moduleExtensions.map((ext) => path.join(basePath, `index${ext}`)),
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      if ((await stat(candidate)).isFile()) {
+        return candidate;
+      }
+    } catch {
+      // Not there; try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Names a CommonJS module exports: `exports.Name = ...`,
+ * `Object.defineProperty(exports, "Name", ...)` and
+ * `module.exports = { Name }`, plus the modules it re-exports through
+ * `__exportStar(require("./x"), exports)` as compiled by TypeScript
+ */
+function collectCommonJSExports(ast) {
+  const names = [];
+  const reexported = [];
+
+  walk(ast, {
+    AssignmentExpression(node) {
+      const target = memberPath(node.left);
+      if (!target) {
+        return;
+      }
+      if (target.length === 2 && target[0] === "exports") {
+        names.push(target[1]);
+      } else if (
+        target.length === 3 &&
+        target[0] === "module" &&
+        target[1] === "exports"
+      ) {
+        names.push(target[2]);
+      } else if (
+        target.join(".") === "module.exports" &&
+        node.right.type === "ObjectExpression"
+      ) {
+        for (const property of node.right.properties) {
+          if (property.key && !property.computed) {
+            names.push(property.key.name || property.key.value);
+          }
+        }
+      }
+    },
+
+    CallExpression(node) {
+      const callee = memberPath(node.callee);
+      const [first, second] = node.arguments;
+      if (!callee || !first) {
+        return;
+      }
+      if (
+        callee.join(".") === "Object.defineProperty" &&
+        first.type === "Identifier" &&
+        first.name === "exports" &&
+        second &&
+        second.type === "StringLiteral"
+      ) {
+        names.push(second.value);
+      } else if (
+        /^_*export(Star)?$/.test(callee[callee.length - 1]) &&
+        first.type === "CallExpression" &&
+        first.callee.name === "require" &&
+        first.arguments[0] &&
+        first.arguments[0].type === "StringLiteral"
+      ) {
+        reexported.push(first.arguments[0].value);
+      }
+    },
+  });
+
+  return {
+    names: names.filter((name) => name && name !== "__esModule"),
+    reexported,
+  };
+}
+
+/**
+ * Names exported by a module file, mapped to their kind as declared there
+ * (see declarationKinds()), or null when the declarations do not tell.
+ * Follows relative `export *` and their CommonJS equivalents, and relative
+ * re-exports for their kinds. Re-exports from other packages are not
+ * followed. `visited` holds the files already read, so each is read once.
+ */
+async function moduleExports(filePath, visited = new Map()) {
+  if (visited.has(filePath)) {
+    return visited.get(filePath);
+  }
+  const names = new Map();
+  visited.set(filePath, names);
+
+  let ast;
+  try {
+    ast = parseSource(await readFile(filePath, "utf8"), filePath);
+  } catch (error) {
+    throw new Error(
+      `${path.relative(process.cwd(), filePath)}: ${error.message}`
+    );
+  }
+  const exports = collectExports(ast, []);
+  const kinds = declarationKinds(ast);
+
+  async function relativeExports(specifier) {
+    const target =
+      specifier.startsWith(".") &&
+      (await resolveModuleFile(
+        path.resolve(path.dirname(filePath), specifier)
+      ));
+    return target ? moduleExports(target, visited) : new Map();
+  }
+
+  let starred = [];
+  if (exports.length > 0) {
+    for (const { exported, specifier, imported, local } of exports) {
+      if (exported === "*") {
+        starred.push(specifier);
+      } else if (specifier) {
+        const kind = (await relativeExports(specifier)).get(imported);
+        names.set(exported, kind || null);
+      } else {
+        names.set(exported, (local && kinds.get(local)) || null);
+      }
+    }
+  } else {
+    const commonJS = collectCommonJSExports(ast);
+    commonJS.names.forEach((name) => names.set(name, null));
+    starred = commonJS.reexported;
+  }
+  for (const name of typeExportNames(ast)) {
+    if (!names.has(name)) {
+      names.set(name, "type");
+    }
+  }
+
+  for (const specifier of starred) {
+    for (const [name, kind] of await relativeExports(specifier)) {
+      // `export *` never re-exports a default export
+      if (name !== "default" && !names.has(name)) {
+        names.set(name, kind);
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Read the public API of a target package: every name it exports from its
+ * root and from the subpaths in its "exports" field, where a subpath's
+ * default export is named after the subpath (`@acme/ui/date-picker` ->
+ * `DatePicker`). Returns `{ packageDir, entryPoints, exports, kinds }`,
+ * where `exports` lists the names of values and `kinds` maps every name,
+ * types included, to its kind (see exportKinds), or null when the package
+ * or its entry points cannot be found or read.
+ */
+async function readPackageApi(packageName, startDir, packagePaths = {}) {
+  const packageDir = await findPackageDir(packageName, startDir, packagePaths);
+  if (!packageDir) {
+    return null;
+  }
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(
+      await readFile(path.join(packageDir, "package.json"), "utf8")
+    );
+  } catch (error) {
+    console.error(`Could not read ${packageName}/package.json:`, error);
+    return null;
+  }
+
+  const kinds = {};
+  const files = [];
+  const visited = new Map();
+  for (const { subpath, file } of entryPoints(packageJson)) {
+    const entryFile = await resolveModuleFile(path.resolve(packageDir, file));
+    if (!entryFile) {
+      continue;
+    }
+    files.push(path.relative(process.cwd(), entryFile));
+
+    let names;
+    try {
+      names = await moduleExports(entryFile, visited);
+    } catch (error) {
+      console.error(
+        `Could not read the exports of ${packageName}: ${error.message}`
+      );
+      return null;
+    }
+    for (const [name, kind] of names) {
+      const exportName =
+        name !== "default"
+          ? name
+          : subpath &&
+            subpathExportName(
+              { subpath, specifier: `${packageName}/${subpath}` },
+              { mapSubpaths: true }
+            );
+      if (exportName && !kinds[exportName]) {
+        kinds[exportName] = kind || kindFromName(exportName);
+      }
+    }
+  }
+
+  if (files.length === 0) {
+    return null;
+  }
+  const names = Object.keys(kinds).sort();
+  return {
+    packageDir: path.relative(process.cwd(), packageDir),
+    entryPoints: files,
+    // Types are never used at runtime, so only values count as unused
+    exports: names.filter((name) => kinds[name] !== "type"),
+    kinds: Object.fromEntries(names.map((name) => [name, kinds[name]])),
+  };
+}
+
+module.exports = {
+  readPackageApi,
+};
@@ -0,0 +1,121 @@
+const path = require("path");
+const babelParser = require("@babel/parser");
+
+// Keys that never hold child nodes, skipped while walking the tree
+const skippedKeys = new Set([
+  "type",
+  "start",
+  "end",
+  "loc",
+  "range",
+  "extra",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+]);
+
+/**
+ * Pick the Babel syntax plugins for a file based on its extension
+ */
+function pluginsForExtension(ext) {
+  if (ext === ".ts" || ext === ".mts" || ext === ".cts") {
+    // No JSX here, so `<Button>value` stays a type assertion
+    return ["typescript", "decorators-legacy"];
+  }
+  if (ext === ".tsx") {
+    return ["typescript", "jsx", "decorators-legacy"];
+  }
+  return ["jsx", "decorators-legacy"];
+}
+
+/**
+ * Parse a JS/TS/JSX/TSX source file into a syntax tree. `ext` overrides the
+ * file's extension, for scripts taken out of other files.
+ */
+function parseSource(content, filePath, ext = path.extname(filePath)) {
+  return babelParser.parse(content, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins: pluginsForExtension(ext),
+  });
+}
+
+function isNode(value) {
+  return value !== null && typeof value === "object" && "type" in value;
+}
+
+/**
+ * Depth-first walk over a syntax tree, calling visitor[node.type](node, parent)
+ */
+function walk(node, visitor, parent = null) {
+  if (visitor[node.type]) {
+    visitor[node.type](node, parent);
+  }
+
+  for (const key of Object.keys(node)) {
+    if (skippedKeys.has(key)) {
+      continue;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (isNode(child)) {
+          walk(child, visitor, node);
+        }
+      }
+    } else if (isNode(value)) {
+      walk(value, visitor, node);
+    }
+  }
+}
+
+/**
+ * Flatten an identifier or member expression into its dotted parts,
+ * e.g. `<Ns.Button.Icon>` or `Ns.Button()` -> ["Ns", "Button", "Icon"].
+ * Returns null for computed or otherwise non-static names.
+ */
+function memberPath(node) {
+  switch (node.type) {
+    case "Identifier":
+    case "JSXIdentifier":
+      return [node.name];
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+    case "JSXMemberExpression": {
+      if (node.computed || !node.property.name) {
+        return null;
+      }
+      const objectPath = memberPath(node.object);
+      return objectPath && [...objectPath, node.property.name];
+    }
+    default:
+      return null;
+  }
+}
+
+// Longest code snippet stored for an occurrence
+const maxSnippetLength = 120;
+
+/**
+ * Location of a node as a 1-based line and column, plus the trimmed source
+ * line it starts on as a snippet. `lines` is the file content split by line.
+ */
+function locate(node, lines) {
+  const { line, column } = node.loc.start;
+  let snippet = (lines[line - 1] || "").trim();
+  if (snippet.length > maxSnippetLength) {
+    snippet = `${snippet.slice(0, maxSnippetLength - 3)}...`;
+  }
+
+  return { line, column: column + 1, snippet };
+}
+
+module.exports = {
+  parseSource,
+  walk,
+  memberPath,
+  locate,
+};
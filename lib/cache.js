@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const rename = promisify(fs.rename);
+const mkdir = promisify(fs.mkdir);
+
+// Changes whenever the layout of the cache file does
+const cacheFormat = 1;
+const cacheFileName = "analysis.json";
+
+/**
+ * Directory the cache of `dir` is kept in: `cacheLocation` when set, else
+ * node_modules/.cache/component-usage in the scanned directory
+ */
+function cacheDirectory(dir, cacheLocation) {
+  return (
+    cacheLocation || path.join(dir, "node_modules", ".cache", "component-usage")
+  );
+}
+
+function contentHash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Version of the analysis, hashed from the source of this tool's modules so
+ * that any update to them invalidates the cache
+ */
+async function toolVersion() {
+  const names = (await readdir(__dirname))
+    .filter((name) => name.endsWith(".js"))
+    .sort();
+  const hash = crypto.createHash("sha256").update(String(cacheFormat));
+  for (const name of names) {
+    hash.update(await readFile(path.join(__dirname, name)));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Open the cache of file analyses in `cacheDir`, for files below `rootDir`
+ * analyzed with `options`. Entries are keyed by file and content hash, and
+ * the whole cache starts over when the tool version or the options change.
+ * `get(filePath, hash)` returns the cached analysis of a file, or null when
+ * its content changed; `set(filePath, hash, result)` records a new one and
+ * `save(filePaths)` writes the entries of the given files, dropping the
+ * rest.
+ */
+async function openCache(cacheDir, rootDir, options) {
+  const key = contentHash(JSON.stringify([await toolVersion(), options]));
+  const cacheFile = path.join(cacheDir, cacheFileName);
+
+  let entries = {};
+  try {
+    const cached = JSON.parse(await readFile(cacheFile, "utf8"));
+    if (cached.key === key) {
+      entries = cached.files;
+    }
+  } catch {
+    // No cache yet, or an unreadable one: start over
+  }
+
+  const entryName = (filePath) =>
+    path.relative(rootDir, filePath).split(path.sep).join("/");
+
+  return {
+    get(filePath, hash) {
+      const entry = entries[entryName(filePath)];
+      if (!entry || entry.hash !== hash) {
+        return null;
+      }
+      // Results name their file relative to the working directory
+      return { ...entry.result, file: path.relative(process.cwd(), filePath) };
+    },
+
+    set(filePath, hash, result) {
+      entries[entryName(filePath)] = { hash, result };
+    },
+
+    async save(filePaths) {
+      const files = {};
+      for (const name of filePaths.map(entryName)) {
+        if (entries[name]) {
+          files[name] = entries[name];
+        }
+      }
+      entries = files;
+
+      // Write a temporary file first, so that an interrupted run never
+      // leaves a truncated cache behind
+      try {
+        await mkdir(cacheDir, { recursive: true });
+        const tempFile = `${cacheFile}.${process.pid}.tmp`;
+        await writeFile(tempFile, JSON.stringify({ key, files }));
+        await rename(tempFile, cacheFile);
+      } catch (error) {
+        console.warn(`Warning: could not write the cache: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  cacheDirectory,
+  contentHash,
+  openCache,
+};
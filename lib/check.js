@@ -0,0 +1,250 @@
+const fs = require("fs");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { ConfigError } = require("./config");
+
+// Rule types, each checked by the function of the same name below
+const ruleTypes = ["max", "noIncrease", "noNewImports"];
+
+// Rule types that need a baseline report (--compare)
+const baselineRuleTypes = ["noIncrease", "noNewImports"];
+
+/**
+ * Validate one rule and return its type
+ */
+function ruleType(rule, index, source) {
+  const where = `rule ${index + 1} in ${source}`;
+
+  if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new ConfigError(`${where} must be an object`);
+  }
+  if (typeof rule.component !== "string" || rule.component === "") {
+    throw new ConfigError(
+      `${where} needs a "component" name or pattern such as "unstable_*"`
+    );
+  }
+  for (const key of ["package", "message"]) {
+    if (rule[key] !== undefined && typeof rule[key] !== "string") {
+      throw new ConfigError(`"${key}" in ${where} must be a string`);
+    }
+  }
+
+  const types = ruleTypes.filter((type) => rule[type] !== undefined);
+  if (types.length !== 1) {
+    throw new ConfigError(
+      `${where} must set exactly one of: ${ruleTypes.join(", ")}`
+    );
+  }
+
+  const [type] = types;
+  if (type === "max" && !(Number.isInteger(rule.max) && rule.max >= 0)) {
+    throw new ConfigError(`"max" in ${where} must be a non-negative integer`);
+  }
+  if (type !== "max" && rule[type] !== true) {
+    throw new ConfigError(`"${type}" in ${where} must be true`);
+  }
+  return type;
+}
+
+/**
+ * Load and validate check rules, given inline or as the path of a JSON file
+ * holding either a list of rules or `{ "rules": [...] }`. `hasBaseline`
+ * tells whether rules relative to a baseline report can be evaluated.
+ */
+async function loadRules(rules, hasBaseline) {
+  let source = "config file";
+
+  if (typeof rules === "string") {
+    source = rules;
+    let content;
+    try {
+      content = await readFile(rules, "utf8");
+    } catch (error) {
+      throw new ConfigError(`Could not read rules ${rules}: ${error.message}`);
+    }
+    try {
+      rules = JSON.parse(content);
+    } catch (error) {
+      throw new ConfigError(
+        `Rules ${source} are not valid JSON: ${error.message}`
+      );
+    }
+    if (rules && !Array.isArray(rules)) {
+      rules = rules.rules;
+    }
+  }
+
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new ConfigError(`Expected a non-empty list of rules in ${source}`);
+  }
+
+  rules = rules.map((rule, index) => ({
+    ...rule,
+    type: ruleType(rule, index, source),
+  }));
+
+  const needsBaseline = rules.find((rule) =>
+    baselineRuleTypes.includes(rule.type)
+  );
+  if (needsBaseline && !hasBaseline) {
+    throw new ConfigError(
+      `The "${needsBaseline.type}" rule for ${needsBaseline.component} needs a baseline. Pass --compare <baseline.json>.`
+    );
+  }
+  return rules;
+}
+
+/**
+ * Turn a component name pattern with `*` wildcards into a predicate
+ */
+function namePattern(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  const regex = new RegExp(`^${escaped}$`);
+  return (name) => regex.test(name);
+}
+
+/**
+ * Components of a report matching a rule's package and name pattern
+ */
+function matchingComponents(model, rule) {
+  const matches = namePattern(rule.component);
+  return model.packages
+    .filter((pkg) => !rule.package || pkg.name === rule.package)
+    .flatMap((pkg) => pkg.components)
+    .filter((component) => matches(component.name));
+}
+
+function totalUses(components) {
+  return components.reduce((sum, component) => sum + component.totalCount, 0);
+}
+
+/**
+ * Usage count per file across components
+ */
+function usesByFile(components) {
+  const counts = {};
+  for (const component of components) {
+    for (const { file, totalCount } of component.files) {
+      counts[file] = (counts[file] || 0) + totalCount;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Every occurrence of the components, optionally limited to some files
+ */
+function locations(components, files) {
+  return components
+    .flatMap((component) =>
+      component.files
+        .filter(({ file }) => !files || files.has(file))
+        .flatMap(({ file, occurrences }) =>
+          occurrences.map((occurrence) => ({ file, ...occurrence }))
+        )
+    )
+    .sort((a, b) =>
+      a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1
+    );
+}
+
+// Rule checks: each returns { passed, summary, locations }
+
+function max(rule, components) {
+  const uses = totalUses(components);
+  return {
+    passed: uses <= rule.max,
+    summary: `${uses} use(s), at most ${rule.max} allowed`,
+    locations: uses > rule.max ? locations(components) : [],
+  };
+}
+
+function noIncrease(rule, components, baselineComponents) {
+  const before = totalUses(baselineComponents);
+  const after = totalUses(components);
+  const beforeByFile = usesByFile(baselineComponents);
+  const afterByFile = usesByFile(components);
+  const grownFiles = new Set(
+    Object.keys(afterByFile).filter(
+      (file) => afterByFile[file] > (beforeByFile[file] || 0)
+    )
+  );
+
+  return {
+    passed: after <= before,
+    summary: `${before} -> ${after} use(s), must not increase`,
+    locations: after > before ? locations(components, grownFiles) : [],
+  };
+}
+
+function noNewImports(rule, components, baselineComponents) {
+  const before = new Set(baselineComponents.flatMap((c) => c.importedIn));
+  const newFiles = Array.from(new Set(components.flatMap((c) => c.importedIn)))
+    .filter((file) => !before.has(file))
+    .sort();
+
+  // Point at usages in the new files, or at the file itself when it only
+  // imports the component
+  const usages = locations(components, new Set(newFiles));
+  const fileOnly = newFiles
+    .filter((file) => !usages.some((usage) => usage.file === file))
+    .map((file) => ({ file }));
+
+  return {
+    passed: newFiles.length === 0,
+    summary: `imported by ${newFiles.length} new file(s), no new imports allowed`,
+    locations: [...fileOnly, ...usages],
+  };
+}
+
+const checks = { max, noIncrease, noNewImports };
+
+/**
+ * Evaluate rules against the current report data and, for rules relative
+ * to an earlier state, a baseline report. Returns one result per rule.
+ */
+function evaluateRules(rules, model, baseline) {
+  return rules.map((rule) => {
+    const result = checks[rule.type](
+      rule,
+      matchingComponents(model, rule),
+      baseline ? matchingComponents(baseline, rule) : []
+    );
+    return { rule, ...result };
+  });
+}
+
+/**
+ * Render rule results, failures with the file locations that caused them
+ */
+function formatResults(results) {
+  const failures = results.filter((result) => !result.passed);
+  let output = "";
+
+  for (const { rule, passed, summary, locations } of results) {
+    const scope = rule.package
+      ? `${rule.package} ${rule.component}`
+      : rule.component;
+    output += `${passed ? "PASS" : "FAIL"}  ${scope}: ${summary}\n`;
+    if (!passed && rule.message) {
+      output += `      ${rule.message}\n`;
+    }
+    for (const { file, line, column, snippet } of locations) {
+      output += line
+        ? `        ${file}:${line}:${column}  ${snippet}\n`
+        : `        ${file}\n`;
+    }
+  }
+
+  output += `\nChecked ${results.length} rule(s): ${failures.length} failed\n`;
+  return output;
+}
+
+module.exports = {
+  loadRules,
+  evaluateRules,
+  formatResults,
+};
@@ -0,0 +1,379 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, promisify } = require("util");
+const stat = promisify(fs.stat);
+const {
+  ConfigError,
+  defaults,
+  findConfigFile,
+  resolveConfig,
+} = require("./config");
+const { getReporter, reporterNames, loadReporter } = require("./reporters");
+
+const optionSpecs = {
+  package: { type: "string", short: "p", multiple: true },
+  ext: { type: "string", short: "e", multiple: true },
+  ignore: { type: "string", short: "i", multiple: true },
+  include: { type: "string", multiple: true },
+  "no-gitignore": { type: "boolean" },
+  tests: { type: "string" },
+  stories: { type: "string" },
+  out: { type: "string", short: "o" },
+  format: { type: "string", short: "f" },
+  reporter: { type: "string", multiple: true },
+  "map-subpaths": { type: "boolean" },
+  tsconfig: { type: "string" },
+  wrappers: { type: "boolean" },
+  mode: { type: "string", short: "m" },
+  "skip-calls-with-jsx": { type: "boolean" },
+  "group-by": { type: "string", short: "g", multiple: true },
+  depth: { type: "string" },
+  codeowners: { type: "string" },
+  compare: { type: "string", short: "c" },
+  "save-baseline": { type: "string" },
+  rules: { type: "string", short: "r" },
+  concurrency: { type: "string" },
+  workers: { type: "string", short: "w" },
+  progress: { type: "boolean" },
+  cache: { type: "boolean" },
+  "cache-location": { type: "string" },
+  watch: { type: "boolean" },
+  from: { type: "string" },
+  to: { type: "string" },
+  "to-package": { type: "string" },
+  props: { type: "string" },
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Config option set by each command-line flag
+const flagOptions = {
+  package: "packages",
+  ext: "extensions",
+  ignore: "ignore",
+  include: "include",
+  "no-gitignore": "gitignore",
+  tests: "tests",
+  stories: "stories",
+  out: "out",
+  format: "format",
+  reporter: "reporters",
+  "map-subpaths": "mapSubpaths",
+  tsconfig: "tsconfig",
+  wrappers: "wrappers",
+  mode: "mode",
+  "skip-calls-with-jsx": "skipCallsWithJSX",
+  "group-by": "groupBy",
+  depth: "depth",
+  codeowners: "codeowners",
+  compare: "compare",
+  "save-baseline": "saveBaseline",
+  rules: "rules",
+  concurrency: "concurrency",
+  workers: "workers",
+  progress: "progress",
+  cache: "cache",
+  "cache-location": "cacheLocation",
+};
+
+// Flags whose values are numbers
+const numberFlags = ["concurrency", "workers", "depth"];
+
+// Commands that can be given before the directory; "scan" is the default
+const commands = ["scan", "check", "migrate"];
+
+/**
+ * Build the --help text for the running script
+ */
+function helpText(scriptName) {
+  return `Usage: ${scriptName} [command] [options] [directory]
+
+Scan a directory (default: the current directory) and report how the
+components of one or more npm packages are imported and used.
+
+Commands:
+  scan                   Write a usage report (default)
+  check                  Check usage against rules and exit with status 1
+                         if any rule fails; writes no report
+  migrate                Rename or replace a component of the package
+                         across the directory, rewriting imports and
+                         usages in place; writes no report
+
+Options:
+  -p, --package <list>   Comma-separated packages whose components are
+                         counted; repeatable (required)
+  -e, --ext <list>       Comma-separated file extensions to scan
+                         (default: ${defaults.extensions.join(",")})
+  -i, --ignore <list>    Comma-separated paths to skip, in .gitignore syntax
+                         (default: ${defaults.ignore.join(",")})
+  --include <list>       Comma-separated globs of files to scan, relative to
+                         the directory, e.g. "apps/**/src/**"
+  --no-gitignore         Also scan files ignored by .gitignore files
+  --tests <mode>         Test files (*.test.*, __tests__/): "include",
+                         "exclude" or "only" (default: ${defaults.tests})
+  --stories <mode>       Storybook files (*.stories.*, .storybook/):
+                         "include", "exclude" or "only" (default: ${
+                           defaults.stories
+                         })
+  -o, --out <file>       Where to write the report (default:
+                         component-usage-report.<format extension>)
+  -f, --format <format>  Report format: ${reporterNames().join(", ")}
+                         (default: ${defaults.format})
+  --reporter <module>    Load a custom report format from a module
+                         exporting { name, extension, render(model) };
+                         repeatable
+  --map-subpaths         Count default imports from deep paths such as
+                         "@acme/ui/lib/date-picker" under the export name
+                         derived from the path ("DatePicker")
+  --tsconfig <file>      tsconfig.json whose "paths" resolve imports of the
+                         project's own modules (default: the nearest
+                         tsconfig.json or jsconfig.json of each file)
+  --wrappers             Count usages of local components that only render
+                         a package component, such as
+                         (p) => <Button {...p} />, as usages of it
+  -m, --mode <mode>      What to count: "combined" (JSX and calls),
+                         "jsx-only", "call-only" or "split" (both, listed
+                         separately) (default: ${defaults.mode})
+  --skip-calls-with-jsx  Don't count calls of a component in files that
+                         also use it as JSX
+  -g, --group-by <list>  Also roll usage up by "directory", "workspace"
+                         (package.json workspaces) and/or "owner"
+                         (CODEOWNERS)
+  --depth <n>            Leading directories that make up a "directory"
+                         group (default: ${defaults.depth})
+  --codeowners <file>    CODEOWNERS file for "owner" groups (default: the
+                         repository's .github/CODEOWNERS, CODEOWNERS or
+                         docs/CODEOWNERS)
+  --save-baseline <file> Also save this run as a JSON baseline snapshot
+  -c, --compare <file>   Report what changed since a baseline snapshot (or
+                         any earlier --format json report)
+  -r, --rules <file>     JSON rules for the check command
+  --concurrency <n>      Files read and analyzed at once (default: ${
+    defaults.concurrency
+  })
+  -w, --workers <n>      Parse files in n worker threads (default: 0, parse
+                         on the main thread)
+  --progress             Show progress even when stderr is not a terminal
+  --cache                Keep the analysis of each file on disk and only
+                         parse files that changed since the last run
+  --cache-location <dir> Where to keep the cache (default:
+                         node_modules/.cache/component-usage in the
+                         directory)
+  --watch                Keep running, and update the report whenever
+                         scanned files change
+  --from <name>          Export to migrate away from (migrate)
+  --to <name>            Export to migrate to (migrate; default: the same
+                         name, with --to-package)
+  --to-package <name>    Package to import it from instead (migrate;
+                         default: the package it is in)
+  --props <file>         JSON object of props to rename, or to drop when
+                         mapped to null (migrate)
+  --dry-run              Print the changes as unified diffs instead of
+                         writing them (migrate)
+  -h, --help             Show this help
+
+Options can also be set in a .componentusagerc JSON file or under a
+"componentUsage" key in package.json, looked up from the scanned directory
+upwards. Command-line flags take precedence:
+
+  {
+    "packages": ["@acme/ui", "@acme/icons"],
+    "extensions": [".ts", ".tsx"],
+    "ignore": ["node_modules", "dist", "**/*.generated.*"],
+    "include": ["apps/**/src/**"],
+    "tests": "exclude",
+    "out": "reports/ui-usage.txt",
+    "format": "text",
+    "subpathExports": { "@acme/ui/lib/table": "DataTable" },
+    "rules": "component-usage-rules.json"
+  }
+
+Check rules match component names, with * as a wildcard, and set one of
+"max", "noIncrease" or "noNewImports" (the last two need --compare):
+
+  [
+    { "component": "LegacyModal", "noIncrease": true },
+    { "component": "DeprecatedGrid", "noNewImports": true },
+    { "component": "unstable_*", "max": 5, "message": "Stabilize first" }
+  ]
+`;
+}
+
+/**
+ * Split repeatable, comma-separated flag values into a flat list
+ */
+function splitList(values) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load the custom reporters and check the report format, defaulting "out"
+ * to a file named after the format.
+ */
+function resolveOutput(config) {
+  for (const modulePath of config.reporters) {
+    try {
+      loadReporter(modulePath);
+    } catch (error) {
+      throw new ConfigError(
+        `Could not load reporter ${modulePath}: ${error.message.split("\n")[0]}`
+      );
+    }
+  }
+  const reporter = getReporter(config.format);
+  if (!reporter) {
+    throw new ConfigError(
+      `Unknown format "${
+        config.format
+      }". Expected one of: ${reporterNames().join(", ")}`
+    );
+  }
+  if (config.out === null) {
+    config.out = `component-usage-report.${reporter.extension}`;
+  } else if (typeof config.out !== "string" || config.out.trim() === "") {
+    throw new ConfigError(`"out" must be a file path`);
+  }
+  return config;
+}
+
+/**
+ * Parse command-line arguments, merge them with any config file and
+ * return the resolved options, or `{ help: true }` when --help was passed.
+ * `scriptDefaults` override the built-in defaults but not the config file.
+ */
+async function loadOptions(argv, scriptDefaults = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: optionSpecs,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const { values } = parsed;
+  let { positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  // A leading command name selects the command; use ./check to scan a
+  // directory that happens to share its name
+  let command = "scan";
+  if (commands.includes(positionals[0])) {
+    [command, ...positionals] = positionals;
+  }
+
+  if (positionals.length > 1) {
+    throw new ConfigError(
+      `Expected at most one directory, got: ${positionals.join(" ")}`
+    );
+  }
+
+  const targetDir = positionals[0] || process.cwd();
+  let targetStats;
+  try {
+    targetStats = await stat(targetDir);
+  } catch {
+    throw new ConfigError(`Directory not found: ${targetDir}`);
+  }
+  if (!targetStats.isDirectory()) {
+    throw new ConfigError(`Not a directory: ${targetDir}`);
+  }
+
+  const cliConfig = {};
+  for (const [flag, option] of Object.entries(flagOptions)) {
+    if (values[flag] === undefined) {
+      continue;
+    }
+    if (flag.startsWith("no-")) {
+      // Negated flags turn their option off
+      cliConfig[option] = false;
+    } else if (optionSpecs[flag].multiple) {
+      cliConfig[option] = splitList(values[flag]);
+    } else if (numberFlags.includes(flag)) {
+      const number = Number(values[flag]);
+      if (values[flag].trim() === "" || Number.isNaN(number)) {
+        throw new ConfigError(
+          `--${flag} expects a number, got "${values[flag]}"`
+        );
+      }
+      cliConfig[option] = number;
+    } else {
+      cliConfig[option] = values[flag];
+    }
+  }
+
+  const found = await findConfigFile(targetDir);
+  const config = resolveOutput(
+    resolveConfig(
+      { ...scriptDefaults, ...(found ? found.config : {}) },
+      found ? found.filePath : "config file",
+      cliConfig
+    )
+  );
+
+  if (command === "check" && !config.rules) {
+    throw new ConfigError(
+      `The check command needs rules. Pass --rules <file> or set "rules" in the config file`
+    );
+  }
+
+  if (command === "check" && values.watch) {
+    throw new ConfigError("The check command cannot be combined with --watch");
+  }
+
+  if (command === "migrate") {
+    if (!values.from || !(values.to || values["to-package"])) {
+      throw new ConfigError(
+        "The migrate command needs --from <name> and --to <name>, --to-package <name> or both"
+      );
+    }
+    if (values.watch) {
+      throw new ConfigError(
+        "The migrate command cannot be combined with --watch"
+      );
+    }
+  } else {
+    for (const flag of ["from", "to", "to-package", "props", "dry-run"]) {
+      if (values[flag] !== undefined) {
+        throw new ConfigError(`--${flag} only applies to the migrate command`);
+      }
+    }
+  }
+
+  return {
+    ...config,
+    command,
+    watch: Boolean(values.watch),
+    from: values.from,
+    to: values.to,
+    toPackage: values["to-package"],
+    propsFile: values.props || null,
+    dryRun: Boolean(values["dry-run"]),
+    targetDir,
+    configFile: found ? found.filePath : null,
+  };
+}
+
+/**
+ * Print a configuration error without a stack trace and exit with status 2,
+ * keeping status 1 for failed check rules
+ */
+function exitWithUsageError(error, scriptName) {
+  console.error(`Error: ${error.message}`);
+  console.error(`Run "${scriptName} --help" for usage.`);
+  process.exit(2);
+}
+
+module.exports = {
+  ConfigError,
+  helpText,
+  loadOptions,
+  exitWithUsageError,
+};
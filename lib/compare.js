@@ -0,0 +1,277 @@
+const fs = require("fs");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { ConfigError } = require("./config");
+const { SCHEMA_VERSION } = require("./model");
+
+/**
+ * Read a JSON report saved by an earlier run to compare against
+ */
+async function loadBaseline(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, "utf8");
+  } catch (error) {
+    throw new ConfigError(
+      `Could not read baseline ${filePath}: ${error.message}`
+    );
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(
+      `Baseline ${filePath} is not valid JSON: ${error.message}`
+    );
+  }
+  if (baseline.schemaVersion !== SCHEMA_VERSION) {
+    throw new ConfigError(
+      `Baseline ${filePath} has schema version ${baseline.schemaVersion}, expected ${SCHEMA_VERSION}. Save a new baseline with --save-baseline.`
+    );
+  }
+  return baseline;
+}
+
+function byName(items) {
+  const map = {};
+  for (const item of items) {
+    map[item.name] = item;
+  }
+  return map;
+}
+
+/**
+ * Every file importing anything from a package
+ */
+function adoptingFiles(pkg) {
+  const files = new Set();
+  for (const { importedIn } of [...pkg.components, ...pkg.namespaceImports]) {
+    importedIn.forEach((file) => files.add(file));
+  }
+  return files;
+}
+
+function counts(component) {
+  return component
+    ? {
+        jsx: component.jsxCount,
+        call: component.callCount,
+        value: component.valueCount || 0,
+        dynamic: component.dynamicCount || 0,
+        total: component.totalCount,
+      }
+    : { jsx: 0, call: 0, value: 0, dynamic: 0, total: 0 };
+}
+
+function byFile(component) {
+  const map = {};
+  for (const { file, totalCount } of component ? component.files : []) {
+    map[file] = totalCount;
+  }
+  return map;
+}
+
+/**
+ * Per-file usage counts that differ between two versions of a component
+ */
+function compareFiles(before, after) {
+  const beforeFiles = byFile(before);
+  const afterFiles = byFile(after);
+  const files = new Set([
+    ...Object.keys(beforeFiles),
+    ...Object.keys(afterFiles),
+  ]);
+
+  return Array.from(files)
+    .sort()
+    .map((file) => ({
+      file,
+      before: beforeFiles[file] || 0,
+      after: afterFiles[file] || 0,
+      delta: (afterFiles[file] || 0) - (beforeFiles[file] || 0),
+    }))
+    .filter((change) => change.delta !== 0);
+}
+
+/**
+ * Instances of a package's components, the total the reports lead with.
+ * Baselines from before exports had kinds only have the overall total.
+ */
+function componentInstances(pkg) {
+  const { kinds, totalInstances } = pkg.summary;
+  return kinds ? kinds.component.totalInstances : totalInstances;
+}
+
+const emptyPackage = {
+  summary: { totalInstances: 0 },
+  components: [],
+  namespaceImports: [],
+};
+
+/**
+ * Compare a package between the baseline and the current scan
+ */
+function comparePackage(name, basePkg, currentPkg) {
+  const status = !basePkg ? "added" : !currentPkg ? "removed" : "changed";
+  basePkg = basePkg || emptyPackage;
+  currentPkg = currentPkg || emptyPackage;
+
+  const baseComponents = byName(basePkg.components);
+  const currentComponents = byName(currentPkg.components);
+  const names = new Set([
+    ...Object.keys(baseComponents),
+    ...Object.keys(currentComponents),
+  ]);
+
+  const changedComponents = [];
+  for (const componentName of Array.from(names).sort()) {
+    const before = counts(baseComponents[componentName]);
+    const after = counts(currentComponents[componentName]);
+    const files = compareFiles(
+      baseComponents[componentName],
+      currentComponents[componentName]
+    );
+    if (
+      before.jsx === after.jsx &&
+      before.call === after.call &&
+      before.value === after.value &&
+      before.dynamic === after.dynamic &&
+      !files.length
+    ) {
+      continue;
+    }
+    changedComponents.push({
+      name: componentName,
+      before,
+      after,
+      delta: after.total - before.total,
+      files,
+    });
+  }
+
+  const baseFiles = adoptingFiles(basePkg);
+  const currentFiles = adoptingFiles(currentPkg);
+
+  const comparison = {
+    name,
+    status,
+    before: componentInstances(basePkg),
+    after: componentInstances(currentPkg),
+    addedComponents: Object.keys(currentComponents)
+      .filter((c) => !baseComponents[c])
+      .sort(),
+    removedComponents: Object.keys(baseComponents)
+      .filter((c) => !currentComponents[c])
+      .sort(),
+    changedComponents,
+    adoptingFiles: Array.from(currentFiles)
+      .filter((file) => !baseFiles.has(file))
+      .sort(),
+    droppedFiles: Array.from(baseFiles)
+      .filter((file) => !currentFiles.has(file))
+      .sort(),
+  };
+
+  const changeLists = [
+    comparison.addedComponents,
+    comparison.removedComponents,
+    changedComponents,
+    comparison.adoptingFiles,
+    comparison.droppedFiles,
+  ];
+  if (status === "changed" && changeLists.every((list) => !list.length)) {
+    comparison.status = "unchanged";
+  }
+  return comparison;
+}
+
+/**
+ * Compare the current report data against a baseline report
+ */
+function compareModels(baseline, current) {
+  const basePackages = byName(baseline.packages);
+  const currentPackages = byName(current.packages);
+  const names = [
+    ...current.packages.map((pkg) => pkg.name),
+    ...baseline.packages
+      .map((pkg) => pkg.name)
+      .filter((name) => !currentPackages[name]),
+  ];
+
+  return {
+    baselineGeneratedAt: baseline.generatedAt,
+    baselineGenerator: baseline.generator,
+    packages: names.map((name) =>
+      comparePackage(name, basePackages[name], currentPackages[name])
+    ),
+  };
+}
+
+function signed(number) {
+  return number > 0 ? `+${number}` : `${number}`;
+}
+
+/**
+ * Render a comparison as a plain-text report section
+ */
+function formatComparison(comparison) {
+  let report = `CHANGES SINCE BASELINE (${comparison.baselineGeneratedAt})\n`;
+  report += `------------------------------------------\n`;
+
+  for (const pkg of comparison.packages) {
+    report += `${pkg.name}: ${pkg.before} -> ${pkg.after} instance(s) (${signed(
+      pkg.after - pkg.before
+    )})`;
+    report += pkg.status === "changed" ? "\n" : ` [${pkg.status}]\n`;
+
+    if (pkg.addedComponents.length > 0) {
+      report += `  New components: ${pkg.addedComponents.join(", ")}\n`;
+    }
+    if (pkg.removedComponents.length > 0) {
+      report += `  Removed components: ${pkg.removedComponents.join(", ")}\n`;
+    }
+    if (pkg.adoptingFiles.length > 0) {
+      report += `  Files adopting the package:\n`;
+      pkg.adoptingFiles.forEach((file) => {
+        report += `    + ${file}\n`;
+      });
+    }
+    if (pkg.droppedFiles.length > 0) {
+      report += `  Files no longer importing the package:\n`;
+      pkg.droppedFiles.forEach((file) => {
+        report += `    - ${file}\n`;
+      });
+    }
+    if (pkg.changedComponents.length > 0) {
+      report += `  Changed usage:\n`;
+      for (const component of pkg.changedComponents) {
+        report += `    ${component.name}: ${component.before.total} -> ${
+          component.after.total
+        } (${signed(component.delta)}; JSX ${component.before.jsx} -> ${
+          component.after.jsx
+        }, calls ${component.before.call} -> ${component.after.call}${
+          component.before.value || component.after.value
+            ? `, values ${component.before.value} -> ${component.after.value}`
+            : ""
+        }${
+          component.before.dynamic || component.after.dynamic
+            ? `, dynamic ${component.before.dynamic} -> ${component.after.dynamic}`
+            : ""
+        })\n`;
+        component.files.forEach(({ file, before, after, delta }) => {
+          report += `      ${file}: ${before} -> ${after} (${signed(delta)})\n`;
+        });
+      }
+    }
+  }
+
+  return `${report}\n`;
+}
+
+module.exports = {
+  componentInstances,
+  loadBaseline,
+  compareModels,
+  formatComparison,
+};
@@ -0,0 +1,30 @@
+/**
+ * Call `fn` for every item of a (possibly async) iterable with at most
+ * `limit` calls in flight, and resolve with the results in input order.
+ * Items are pulled lazily, so a directory walk can stream into it.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = [];
+  const running = new Set();
+  let index = 0;
+
+  for await (const item of items) {
+    const position = index++;
+    const task = Promise.resolve(fn(item, position)).then((result) => {
+      results[position] = result;
+      running.delete(task);
+    });
+    running.add(task);
+
+    if (running.size >= limit) {
+      await Promise.race(running);
+    }
+  }
+
+  await Promise.all(running);
+  return results;
+}
+
+module.exports = {
+  mapConcurrent,
+};
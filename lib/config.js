@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { exists, findUp } = require("./paths");
+
+const rcFileName = ".componentusagerc";
+const packageJsonKey = "componentUsage";
+
+const defaults = {
+  packages: [], // Packages whose components are counted
+  // Extensions to scan, single-file components of Vue, Svelte, Astro and
+  // MDX included
+  extensions: [
+    ".ts",
+    ".tsx",
+    ".js",
+    ".jsx",
+    ".vue",
+    ".svelte",
+    ".astro",
+    ".mdx",
+  ],
+  ignore: ["node_modules", "dist", "build", ".git"], // .gitignore-style patterns
+  include: [], // Globs of files to scan; empty scans every file
+  gitignore: true, // Also skip what .gitignore files ignore
+  tests: "include", // Test files: "include", "exclude" or "only"
+  stories: "include", // Storybook files: "include", "exclude" or "only"
+  testFiles: ["**/*.{test,spec}.*", "**/__tests__/**", "**/__mocks__/**"],
+  storyFiles: ["**/*.{stories,story}.*", "**/.storybook/**"],
+  out: null, // Defaults to component-usage-report.<format extension>
+  format: "text",
+  reporters: [], // Modules registering custom report formats
+  mapSubpaths: false, // Derive export names from deep import subpaths
+  subpathExports: {}, // Explicit "pkg/sub/path" -> export name mappings
+  packagePaths: {}, // Package name -> directory to read its exports from
+  tsconfig: null, // tsconfig.json for path aliases; by default the nearest
+  wrappers: false, // Credit usages of local wrapper components to the wrapped
+  mode: "combined", // Which usages are counted; see countingModes
+  skipCallsWithJSX: false, // Skip calls of components also used as JSX in a file
+  groupBy: [], // Roll usage up by "directory", "workspace" and/or "owner"
+  depth: 2, // Leading directories of the "directory" groups
+  codeowners: null, // CODEOWNERS file; by default the repository's own
+  compare: null, // JSON report of an earlier run to compare against
+  saveBaseline: null, // Where to also save this run's JSON report
+  rules: null, // Check rules, inline or as the path of a JSON file
+  concurrency: 16, // Files read and analyzed at the same time
+  workers: 0, // Worker threads for parsing; 0 parses on the main thread
+  progress: null, // Show a progress line; by default only on a terminal
+  cache: false, // Reuse the analysis of files unchanged since the last run
+  cacheLocation: null, // Cache directory; by default node_modules/.cache
+};
+
+// How test and story files are treated
+const fileModes = ["include", "exclude", "only"];
+
+// How usages are counted:
+// - "combined": JSX elements and function calls alike
+// - "jsx-only": JSX elements only
+// - "call-only": function calls only
+// - "split": both, with the report listing them separately
+const countingModes = ["combined", "jsx-only", "call-only", "split"];
+
+// Ways files can be grouped: by leading directories, by the workspace
+// package containing them and by their owners in CODEOWNERS
+const groupings = ["directory", "workspace", "owner"];
+
+/**
+ * Error for invalid command-line flags or configuration values
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+async function readJSON(filePath) {
+  const content = await readFile(filePath, "utf8");
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * The `.componentusagerc` file or package.json `componentUsage` key of one
+ * directory, as `{ filePath, config }`, or null
+ */
+async function configFileIn(dir) {
+  const rcPath = path.join(dir, rcFileName);
+  if (await exists(rcPath)) {
+    return { filePath: rcPath, config: await readJSON(rcPath) };
+  }
+
+  const packageJsonPath = path.join(dir, "package.json");
+  if (await exists(packageJsonPath)) {
+    const packageJson = await readJSON(packageJsonPath);
+    if (packageJson[packageJsonKey]) {
+      return {
+        filePath: `${packageJsonPath}#${packageJsonKey}`,
+        config: packageJson[packageJsonKey],
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Look for a `.componentusagerc` file or a `componentUsage` key in
+ * package.json, starting at `startDir` and walking up to the filesystem root.
+ * Returns `{ filePath, config }`, or null when nothing was found.
+ */
+async function findConfigFile(startDir) {
+  let found = null;
+  await findUp(startDir, async (dir) => {
+    found = await configFileIn(dir);
+    return found !== null;
+  });
+  return found;
+}
+
+/**
+ * Normalize extension lists so both "tsx" and ".tsx" are accepted
+ */
+function normalizeExtensions(extensions) {
+  return extensions.map((ext) => (ext.startsWith(".") ? ext : `.${ext}`));
+}
+
+function validateStringList(value, name, source) {
+  if (
+    !Array.isArray(value) ||
+    value.some((item) => typeof item !== "string" || item.trim() === "")
+  ) {
+    throw new ConfigError(
+      `"${name}" in ${source} must be a list of non-empty strings`
+    );
+  }
+}
+
+function isStringMap(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * Merge defaults, config file values and command-line values (in increasing
+ * priority) and validate the result
+ */
+function resolveConfig(fileConfig, fileSource, cliConfig) {
+  // A single "package" string is shorthand for "packages"
+  if (fileConfig.package !== undefined) {
+    if (fileConfig.packages !== undefined) {
+      throw new ConfigError(
+        `Set either "package" or "packages" in ${fileSource}, not both`
+      );
+    }
+    const { package: packageName, ...rest } = fileConfig;
+    fileConfig = { ...rest, packages: [packageName] };
+  }
+
+  for (const key of Object.keys(fileConfig)) {
+    if (!(key in defaults)) {
+      throw new ConfigError(`Unknown option "${key}" in ${fileSource}`);
+    }
+  }
+  for (const key of [
+    "packages",
+    "extensions",
+    "ignore",
+    "include",
+    "testFiles",
+    "storyFiles",
+    "reporters",
+    "groupBy",
+  ]) {
+    if (fileConfig[key] !== undefined) {
+      validateStringList(fileConfig[key], key, fileSource);
+    }
+  }
+
+  if (
+    fileConfig.subpathExports !== undefined &&
+    !isStringMap(fileConfig.subpathExports)
+  ) {
+    throw new ConfigError(
+      `"subpathExports" in ${fileSource} must map module specifiers to export names`
+    );
+  }
+  if (
+    fileConfig.packagePaths !== undefined &&
+    !isStringMap(fileConfig.packagePaths)
+  ) {
+    throw new ConfigError(
+      `"packagePaths" in ${fileSource} must map package names to directories`
+    );
+  }
+
+  const config = { ...defaults, ...fileConfig, ...cliConfig };
+
+  if (config.packages.length === 0) {
+    throw new ConfigError(
+      `No package to scan for. Pass --package <name> or set "packages" in ${rcFileName}`
+    );
+  }
+  for (const key of [
+    "compare",
+    "saveBaseline",
+    "tsconfig",
+    "codeowners",
+    "cacheLocation",
+  ]) {
+    if (
+      config[key] !== null &&
+      (typeof config[key] !== "string" || config[key].trim() === "")
+    ) {
+      throw new ConfigError(`"${key}" must be a file path`);
+    }
+  }
+
+  if (
+    config.rules !== null &&
+    typeof config.rules !== "string" &&
+    !Array.isArray(config.rules)
+  ) {
+    throw new ConfigError(`"rules" must be a file path or a list of rules`);
+  }
+
+  for (const key of ["tests", "stories"]) {
+    if (!fileModes.includes(config[key])) {
+      throw new ConfigError(
+        `Unknown "${key}" mode "${
+          config[key]
+        }". Expected one of: ${fileModes.join(", ")}`
+      );
+    }
+  }
+  if (!countingModes.includes(config.mode)) {
+    throw new ConfigError(
+      `Unknown mode "${config.mode}". Expected one of: ${countingModes.join(
+        ", "
+      )}`
+    );
+  }
+  for (const key of ["gitignore", "wrappers", "skipCallsWithJSX", "cache"]) {
+    if (typeof config[key] !== "boolean") {
+      throw new ConfigError(`"${key}" must be true or false`);
+    }
+  }
+
+  for (const by of config.groupBy) {
+    if (!groupings.includes(by)) {
+      throw new ConfigError(
+        `Unknown grouping "${by}". Expected any of: ${groupings.join(", ")}`
+      );
+    }
+  }
+  if (!Number.isInteger(config.depth) || config.depth < 1) {
+    throw new ConfigError(`"depth" must be a positive integer`);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new ConfigError(`"concurrency" must be a positive integer`);
+  }
+  if (!Number.isInteger(config.workers) || config.workers < 0) {
+    throw new ConfigError(`"workers" must be zero or a positive integer`);
+  }
+
+  config.packages = Array.from(new Set(config.packages));
+  config.groupBy = Array.from(new Set(config.groupBy));
+  config.extensions = normalizeExtensions(config.extensions);
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  defaults,
+  fileModes,
+  countingModes,
+  groupings,
+  findConfigFile,
+  resolveConfig,
+};
@@ -0,0 +1,72 @@
+const columns = [
+  "package",
+  "component",
+  "kind",
+  "file",
+  "jsx",
+  "calls",
+  "values",
+  "dynamic",
+  "total",
+];
+
+/**
+ * Quote a field when it contains a delimiter, quote or line break (RFC 4180)
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvField).join(",")}\r\n`;
+}
+
+/**
+ * Render the report data as CSV with one row per component and file, for
+ * spreadsheets, hooks and other kinds of exports included. Files that import
+ * a component without using it get a row with zero counts.
+ */
+function renderCsv(model) {
+  let csv = csvRow(columns);
+
+  for (const pkg of model.packages) {
+    for (const component of pkg.components) {
+      const counts = {};
+      for (const file of component.importedIn) {
+        counts[file] = {
+          jsxCount: 0,
+          callCount: 0,
+          valueCount: 0,
+          dynamicCount: 0,
+          totalCount: 0,
+        };
+      }
+      for (const file of component.files) {
+        counts[file.file] = file;
+      }
+
+      for (const file of Object.keys(counts).sort()) {
+        const { jsxCount, callCount, valueCount, dynamicCount, totalCount } =
+          counts[file];
+        csv += csvRow([
+          pkg.name,
+          component.name,
+          component.kind,
+          file,
+          jsxCount,
+          callCount,
+          valueCount,
+          dynamicCount,
+          totalCount,
+        ]);
+      }
+    }
+  }
+
+  return csv;
+}
+
+module.exports = {
+  renderCsv,
+};
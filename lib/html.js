@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { describeCounting } = require("./text");
+
+// Stylesheet and script inlined into every HTML report
+const assetDir = path.join(__dirname, "html");
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Serialize data for a <script> element, escaping anything that could end
+ * the element or break the script early
+ */
+function scriptJSON(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Render the report data as a single self-contained HTML page. The data is
+ * embedded as JSON and drawn by the inlined script, so the file works
+ * offline and can be mailed or attached as a CI artifact.
+ */
+async function renderHtml(model) {
+  const [style, script] = await Promise.all([
+    readFile(path.join(assetDir, "report.css"), "utf8"),
+    readFile(path.join(assetDir, "report.js"), "utf8"),
+  ]);
+  const title = `Component usage: ${model.packages
+    .map((pkg) => pkg.name)
+    .join(", ")}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${style}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>Scanned ${escapeHtml(model.root)} on ${escapeHtml(model.generatedAt)},
+counting ${escapeHtml(describeCounting(model.counting))}</p>
+</header>
+<main id="report"><noscript>Enable JavaScript to view this report.</noscript></main>
+<script type="application/json" id="report-data">${scriptJSON(model)}</script>
+<script>
+${script}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtml,
+};
@@ -0,0 +1,656 @@
+// Draws the HTML report from the JSON report data embedded in the page.
+// Inlined by lib/html.js, so it must not load anything from the network.
+(function () {
+  "use strict";
+
+  var model = JSON.parse(document.getElementById("report-data").textContent);
+  var root = document.getElementById("report");
+
+  // Components shown in the bar chart
+  var maxBars = 20;
+
+  /**
+   * Create an element with attributes and children (nodes or strings)
+   */
+  function el(tag, attributes, children) {
+    var node = document.createElement(tag);
+    Object.keys(attributes || {}).forEach(function (name) {
+      node.setAttribute(name, attributes[name]);
+    });
+    (children || []).forEach(function (child) {
+      if (child !== null && child !== undefined) {
+        node.append(child);
+      }
+    });
+    return node;
+  }
+
+  function svg(tag, attributes, children) {
+    var node = document.createElementNS("http://www.w3.org/2000/svg", tag);
+    Object.keys(attributes || {}).forEach(function (name) {
+      node.setAttribute(name, attributes[name]);
+    });
+    (children || []).forEach(function (child) {
+      node.append(child);
+    });
+    return node;
+  }
+
+  // Kinds of exports other than components, with their plural
+  var otherKinds = {
+    hook: "hooks",
+    utility: "utilities",
+    constant: "constants",
+    type: "types",
+  };
+
+  function stats(summary) {
+    var components = summary.kinds.component;
+    var list = el("ul", { class: "stats" }, [
+      stat("Imported components", components.imported),
+      stat("JSX instances", components.jsxInstances),
+      stat("Call instances", components.callInstances),
+      stat("Passed as values", components.valueInstances),
+      stat("Dynamic imports", components.dynamicInstances),
+      stat("Component instances", components.totalInstances),
+    ]);
+    Object.keys(otherKinds).forEach(function (kind) {
+      if (summary.kinds[kind].imported > 0) {
+        list.append(
+          stat("Imported " + otherKinds[kind], summary.kinds[kind].imported)
+        );
+      }
+    });
+    return list;
+  }
+
+  function stat(label, value) {
+    return el("li", {}, [el("strong", {}, [String(value)]), label]);
+  }
+
+  /**
+   * Horizontal bars of the most used components, each kind of usage stacked
+   */
+  function barChart(components) {
+    var used = components
+      .filter(function (component) {
+        return component.totalCount > 0;
+      })
+      .sort(function (a, b) {
+        return b.totalCount - a.totalCount;
+      })
+      .slice(0, maxBars);
+    if (used.length === 0) {
+      return el("p", { class: "muted" }, ["No usages found."]);
+    }
+
+    var max = used[0].totalCount;
+    var chart = el("div", { class: "bars" });
+    used.forEach(function (component) {
+      chart.append(
+        el("code", {}, [component.name]),
+        el("div", { class: "bar", title: component.name }, [
+          el("span", {
+            class: "jsx",
+            style: "width: " + (100 * component.jsxCount) / max + "%",
+          }),
+          el("span", {
+            class: "call",
+            style: "width: " + (100 * component.callCount) / max + "%",
+          }),
+          el("span", {
+            class: "value",
+            style: "width: " + (100 * component.valueCount) / max + "%",
+          }),
+          el("span", {
+            class: "dynamic",
+            style: "width: " + (100 * component.dynamicCount) / max + "%",
+          }),
+        ]),
+        el("span", {}, [String(component.totalCount)])
+      );
+    });
+
+    return el("div", {}, [
+      el("p", { class: "legend muted" }, [
+        "Top " + used.length + " by usage",
+        el("span", { class: "jsx" }, ["JSX"]),
+        el("span", { class: "call" }, ["Calls"]),
+        el("span", { class: "value" }, ["Values"]),
+        el("span", { class: "dynamic" }, ["Dynamic imports"]),
+      ]),
+      chart,
+    ]);
+  }
+
+  /**
+   * Total usages per directory across all components of a package
+   */
+  function usageByDirectory(components) {
+    var totals = {};
+    components.forEach(function (component) {
+      component.files.forEach(function (file) {
+        var dir = file.file.split("/").slice(0, -1).join("/") || ".";
+        totals[dir] = (totals[dir] || 0) + file.totalCount;
+      });
+    });
+    return Object.keys(totals)
+      .map(function (dir) {
+        return { name: dir, value: totals[dir] };
+      })
+      .sort(function (a, b) {
+        return b.value - a.value;
+      });
+  }
+
+  function worstRatio(row, side) {
+    var sum = row.reduce(function (total, item) {
+      return total + item.area;
+    }, 0);
+    return row.reduce(function (worst, item) {
+      var ratio = Math.max(
+        (side * side * item.area) / (sum * sum),
+        (sum * sum) / (side * side * item.area)
+      );
+      return Math.max(worst, ratio);
+    }, 0);
+  }
+
+  /**
+   * Lay out items (sorted by value, largest first) as a squarified treemap
+   * filling the given rectangle
+   */
+  function squarify(items, x, y, width, height) {
+    var total = items.reduce(function (sum, item) {
+      return sum + item.value;
+    }, 0);
+    var scale = (width * height) / total;
+    var remaining = items.map(function (item) {
+      return { item: item, area: item.value * scale };
+    });
+    var rects = [];
+    var row = [];
+
+    function layoutRow() {
+      var area = row.reduce(function (sum, entry) {
+        return sum + entry.area;
+      }, 0);
+      var offset = 0;
+      if (width >= height) {
+        var rowWidth = area / height;
+        row.forEach(function (entry) {
+          var rectHeight = entry.area / rowWidth;
+          rects.push({
+            item: entry.item,
+            x: x,
+            y: y + offset,
+            width: rowWidth,
+            height: rectHeight,
+          });
+          offset += rectHeight;
+        });
+        x += rowWidth;
+        width -= rowWidth;
+      } else {
+        var rowHeight = area / width;
+        row.forEach(function (entry) {
+          var rectWidth = entry.area / rowHeight;
+          rects.push({
+            item: entry.item,
+            x: x + offset,
+            y: y,
+            width: rectWidth,
+            height: rowHeight,
+          });
+          offset += rectWidth;
+        });
+        y += rowHeight;
+        height -= rowHeight;
+      }
+      row = [];
+    }
+
+    while (remaining.length > 0) {
+      var side = Math.min(width, height);
+      var next = remaining[0];
+      if (
+        row.length === 0 ||
+        worstRatio(row.concat(next), side) <= worstRatio(row, side)
+      ) {
+        row.push(remaining.shift());
+      } else {
+        layoutRow();
+      }
+    }
+    if (row.length > 0) {
+      layoutRow();
+    }
+    return rects;
+  }
+
+  function treemap(components) {
+    var directories = usageByDirectory(components);
+    if (directories.length === 0) {
+      return el("p", { class: "muted" }, ["No usages found."]);
+    }
+
+    var width = 960;
+    var height = 360;
+    var chart = svg("svg", {
+      class: "treemap",
+      viewBox: "0 0 " + width + " " + height,
+      role: "img",
+      "aria-label": "Usages per directory",
+    });
+    squarify(directories, 0, 0, width, height).forEach(function (rect, i) {
+      var label = rect.item.name + ": " + rect.item.value + " usage(s)";
+      var group = svg("g", {}, [
+        svg("title", {}, [label]),
+        svg("rect", {
+          x: rect.x,
+          y: rect.y,
+          width: rect.width,
+          height: rect.height,
+          fill: "hsl(" + ((i * 47) % 360) + ", 55%, 42%)",
+          stroke: "#fff",
+        }),
+      ]);
+      // Only label boxes big enough to fit the text
+      if (rect.width > 80 && rect.height > 20) {
+        var text = svg("text", { x: rect.x + 6, y: rect.y + 16 }, [label]);
+        group.append(text);
+      }
+      chart.append(group);
+    });
+    return chart;
+  }
+
+  // Sortable columns of the component table
+  var columns = [
+    {
+      label: "Name",
+      value: function (c) {
+        return c.name;
+      },
+    },
+    {
+      label: "Kind",
+      value: function (c) {
+        return c.kind;
+      },
+    },
+    {
+      label: "Imported in",
+      number: true,
+      value: function (c) {
+        return c.importedIn.length;
+      },
+    },
+    {
+      label: "JSX",
+      number: true,
+      value: function (c) {
+        return c.jsxCount;
+      },
+    },
+    {
+      label: "Calls",
+      number: true,
+      value: function (c) {
+        return c.callCount;
+      },
+    },
+    {
+      label: "Values",
+      number: true,
+      value: function (c) {
+        return c.valueCount;
+      },
+    },
+    {
+      label: "Dynamic",
+      number: true,
+      value: function (c) {
+        return c.dynamicCount;
+      },
+    },
+    {
+      label: "Total",
+      number: true,
+      value: function (c) {
+        return c.totalCount;
+      },
+    },
+    {
+      label: "Used in files",
+      number: true,
+      value: function (c) {
+        return c.files.length;
+      },
+    },
+    {
+      label: "Props",
+      number: true,
+      value: function (c) {
+        return c.props.length;
+      },
+    },
+  ];
+
+  function occurrenceLine(file, occurrence) {
+    return el("span", { class: "occurrence snippet" }, [
+      el("span", { class: "location" }, [
+        file + ":" + occurrence.line + ":" + occurrence.column,
+      ]),
+      "  " + occurrence.snippet,
+      occurrence.via
+        ? el("span", { class: "via" }, ["  via " + occurrence.via])
+        : null,
+    ]);
+  }
+
+  /**
+   * Expanded view of a component: its call sites, props and wrappers
+   */
+  function componentDetails(component) {
+    var details = el("div", {});
+
+    if (component.files.length > 0) {
+      details.append(el("strong", {}, ["Call sites"]));
+      component.files.forEach(function (file) {
+        details.append(
+          el("div", {}, [
+            el("code", {}, [file.file]),
+            " (" + file.totalCount + ")",
+          ])
+        );
+        file.occurrences.forEach(function (occurrence) {
+          details.append(occurrenceLine(file.file, occurrence));
+        });
+      });
+    }
+
+    if (component.props.length > 0) {
+      details.append(el("strong", {}, ["Props"]));
+      var props = el("ul", { class: "plain" });
+      component.props.forEach(function (prop) {
+        var values = prop.values.slice(0, 5).map(function (entry) {
+          return JSON.stringify(entry.value) + " (" + entry.count + ")";
+        });
+        props.append(
+          el("li", {}, [
+            el("code", {}, [prop.name]),
+            " " + prop.count + " use(s) in " + prop.files.length + " file(s)",
+            values.length
+              ? el("span", { class: "muted" }, [": " + values.join(", ")])
+              : null,
+          ])
+        );
+      });
+      details.append(props);
+    }
+
+    if (component.wrappers && component.wrappers.length > 0) {
+      details.append(el("strong", {}, ["Wrapped by"]));
+      var wrappers = el("ul", { class: "plain" });
+      component.wrappers.forEach(function (wrapper) {
+        wrappers.append(
+          el("li", {}, [
+            el("code", {}, [wrapper.name]),
+            " (" + wrapper.file + ":" + wrapper.line + ")",
+          ])
+        );
+      });
+      details.append(wrappers);
+    }
+
+    if (component.importedIn.length > 0) {
+      details.append(el("strong", {}, ["Imported in"]));
+      var files = el("ul", { class: "plain" });
+      component.importedIn.forEach(function (file) {
+        files.append(el("li", {}, [el("code", {}, [file])]));
+      });
+      details.append(files);
+    }
+
+    return details;
+  }
+
+  /**
+   * Table of components and other imports, sortable by clicking a column
+   * header, filterable by name, kind or file path, with a row per import
+   * that expands to show its call sites
+   */
+  function componentTable(components) {
+    var sortColumn = columns[7];
+    var descending = true;
+    var query = "";
+    var expanded = {};
+
+    var filter = el("input", {
+      type: "search",
+      class: "filter",
+      placeholder: "Filter by name, kind or file",
+      "aria-label": "Filter components",
+    });
+    var headerRow = el("tr", {});
+    var body = el("tbody", {});
+
+    function matches(component) {
+      if (!query) {
+        return true;
+      }
+      return (
+        component.name.toLowerCase().indexOf(query) !== -1 ||
+        component.kind === query ||
+        component.files.some(function (file) {
+          return file.file.toLowerCase().indexOf(query) !== -1;
+        }) ||
+        component.importedIn.some(function (file) {
+          return file.toLowerCase().indexOf(query) !== -1;
+        })
+      );
+    }
+
+    function render() {
+      headerRow.childNodes.forEach(function (th, i) {
+        if (columns[i] === sortColumn) {
+          th.setAttribute("aria-sort", descending ? "descending" : "ascending");
+        } else {
+          th.removeAttribute("aria-sort");
+        }
+      });
+
+      var rows = components.filter(matches).sort(function (a, b) {
+        var x = sortColumn.value(a);
+        var y = sortColumn.value(b);
+        var order = x < y ? -1 : x > y ? 1 : a.name < b.name ? -1 : 1;
+        return descending ? -order : order;
+      });
+
+      body.replaceChildren();
+      rows.forEach(function (component) {
+        var row = el(
+          "tr",
+          {
+            class: "component",
+            tabindex: "0",
+            "aria-expanded": String(Boolean(expanded[component.name])),
+          },
+          columns.map(function (column) {
+            return el("td", { class: column.number ? "number" : "" }, [
+              String(column.value(component)),
+            ]);
+          })
+        );
+        function toggle() {
+          expanded[component.name] = !expanded[component.name];
+          render();
+        }
+        row.addEventListener("click", toggle);
+        row.addEventListener("keydown", function (event) {
+          if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            toggle();
+          }
+        });
+        body.append(row);
+
+        if (expanded[component.name]) {
+          body.append(
+            el("tr", { class: "details" }, [
+              el("td", { colspan: String(columns.length) }, [
+                componentDetails(component),
+              ]),
+            ])
+          );
+        }
+      });
+
+      if (rows.length === 0) {
+        body.append(
+          el("tr", {}, [
+            el("td", { colspan: String(columns.length), class: "muted" }, [
+              "No matching imports.",
+            ]),
+          ])
+        );
+      }
+    }
+
+    columns.forEach(function (column) {
+      var th = el("th", { class: column.number ? "number" : "" }, [
+        column.label,
+      ]);
+      th.addEventListener("click", function () {
+        // Numbers sort largest first, names alphabetically
+        descending = column === sortColumn ? !descending : column.number;
+        sortColumn = column;
+        render();
+      });
+      headerRow.append(th);
+    });
+    filter.addEventListener("input", function () {
+      query = filter.value.trim().toLowerCase();
+      render();
+    });
+
+    render();
+    return el("div", {}, [
+      filter,
+      el("table", {}, [el("thead", {}, [headerRow]), body]),
+    ]);
+  }
+
+  function unusedExports(pkg) {
+    if (!pkg.api) {
+      return el("p", { class: "muted" }, [
+        "Could not read the exports of " + pkg.name + ".",
+      ]);
+    }
+    var list = el("ul", { class: "plain" });
+    pkg.api.unusedExports.forEach(function (name) {
+      list.append(el("li", {}, [el("code", {}, [name])]));
+    });
+    return el("div", {}, [
+      el("p", {}, [
+        pkg.api.unusedExports.length +
+          " of " +
+          pkg.api.exports.length +
+          " export(s) are never imported.",
+      ]),
+      list,
+    ]);
+  }
+
+  // Heading of each rollup (--group-by)
+  var rollupTitles = {
+    directory: function (rollup) {
+      return "Usage by directory (depth " + rollup.depth + ")";
+    },
+    workspace: function () {
+      return "Usage by workspace";
+    },
+    owner: function () {
+      return "Usage by owner";
+    },
+  };
+
+  /**
+   * Table of the groups of a rollup with the components each one uses
+   */
+  function rollupTable(rollup) {
+    var body = el("tbody", {});
+    rollup.groups.forEach(function (group) {
+      body.append(
+        el("tr", {}, [
+          el("td", {}, [el("code", {}, [group.name])]),
+          el("td", { class: "number" }, [String(group.fileCount)]),
+          el("td", { class: "number" }, [String(group.totalCount)]),
+          el(
+            "td",
+            {},
+            group.components.map(function (component, i) {
+              return el("span", {}, [
+                i > 0 ? ", " : "",
+                el("code", {}, [component.name]),
+                " (" + component.totalCount + ")",
+              ]);
+            })
+          ),
+        ])
+      );
+    });
+    return el("table", {}, [
+      el("thead", {}, [
+        el("tr", {}, [
+          el("th", {}, ["Group"]),
+          el("th", { class: "number" }, ["Files"]),
+          el("th", { class: "number" }, ["Instances"]),
+          el("th", {}, ["Components"]),
+        ]),
+      ]),
+      body,
+    ]);
+  }
+
+  function packageSection(pkg) {
+    var rollups = [];
+    pkg.rollups.forEach(function (rollup) {
+      rollups.push(
+        el("h3", {}, [rollupTitles[rollup.by](rollup)]),
+        rollupTable(rollup)
+      );
+    });
+
+    return el(
+      "section",
+      {},
+      [
+        el("h2", {}, [pkg.name]),
+        stats(pkg.summary),
+        el("h3", {}, ["Most used components"]),
+        barChart(
+          pkg.components.filter(function (component) {
+            return component.kind === "component";
+          })
+        ),
+        el("h3", {}, ["Usages per directory"]),
+        treemap(pkg.components),
+        el("h3", {}, ["Components, hooks and other imports"]),
+        componentTable(pkg.components),
+      ].concat(rollups, [
+        el("h3", {}, ["Exports with no consumers"]),
+        unusedExports(pkg),
+      ])
+    );
+  }
+
+  root.replaceChildren();
+  if (model.packages.length > 1) {
+    root.append(el("h2", {}, ["All packages"]), stats(model.summary));
+  }
+  model.packages.forEach(function (pkg) {
+    root.append(packageSection(pkg));
+  });
+})();
@@ -0,0 +1,544 @@
+const { walk, memberPath } = require("./ast");
+
+// Functions loading a component from a dynamic import: React.lazy(),
+// next/dynamic's dynamic() and @loadable/component's loadable()
+const lazyLoaders = new Set(["lazy", "dynamic", "loadable"]);
+
+/**
+ * Return the module specifier of a `require("...")` call, or null
+ */
+function requiredModule(node) {
+  if (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === "StringLiteral"
+  ) {
+    return node.arguments[0].value;
+  }
+  return null;
+}
+
+/**
+ * Match a module specifier against the target packages. Deep imports such as
+ * `@acme/ui/lib/table` belong to `@acme/ui` with the subpath `lib/table`.
+ * Returns `{ source, subpath, specifier }`, or null for other modules.
+ */
+function matchPackage(specifier, packageNames) {
+  if (typeof specifier !== "string") {
+    return null;
+  }
+
+  for (const source of packageNames) {
+    if (specifier === source) {
+      return { source, subpath: null, specifier };
+    }
+    if (specifier.startsWith(`${source}/`)) {
+      const subpath = specifier.slice(source.length + 1);
+      return { source, subpath: subpath || null, specifier };
+    }
+  }
+  return null;
+}
+
+/**
+ * Derive an export name from a subpath the way most component libraries lay
+ * out their files: `lib/date-picker/index.js` -> `DatePicker`
+ */
+function exportNameFromSubpath(subpath) {
+  const segments = subpath
+    .replace(/\.[cm]?[jt]sx?$/, "")
+    .split("/")
+    .filter((segment) => segment && segment !== "index");
+  const last = segments[segments.length - 1];
+  if (!last) {
+    return null;
+  }
+
+  return last
+    .split(/[-_.]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+}
+
+/**
+ * Canonical export name for a default import from a subpath, taken from the
+ * `subpathExports` map or, with `mapSubpaths`, derived from the subpath
+ * itself. Returns null when the import should keep its local name.
+ */
+function subpathExportName(entry, { subpathExports = {}, mapSubpaths }) {
+  if (!entry.subpath) {
+    return null;
+  }
+  if (subpathExports[entry.specifier]) {
+    return subpathExports[entry.specifier];
+  }
+  return mapSubpaths ? exportNameFromSubpath(entry.subpath) : null;
+}
+
+/**
+ * Module a specifier refers to: one of the target packages, or any other
+ * module with a null `source`
+ */
+function matchModule(specifier, packageNames) {
+  return (
+    matchPackage(specifier, packageNames) || {
+      source: null,
+      subpath: null,
+      specifier,
+    }
+  );
+}
+
+function exportName(node) {
+  return node.type === "StringLiteral" ? node.value : node.name;
+}
+
+/**
+ * Whether an import declaration or specifier only imports types, as
+ * TypeScript's `import type` and Flow's `import typeof` do
+ */
+function isTypeImport(node) {
+  return node.importKind === "type" || node.importKind === "typeof";
+}
+
+/**
+ * Collect every imported binding. Each entry has the `source` package (null
+ * for modules other than the target packages, such as the project's own
+ * files), the `subpath` (null for the package root) and full module
+ * `specifier`, a `kind` ("named", "default" or "namespace"), the `imported`
+ * export name (null for default and namespace imports) and the `local`
+ * binding name used in the file. `node` is the syntax node binding it (the
+ * import specifier, or the identifier or destructured property a require()
+ * is assigned to) and `declaration` the import declaration or variable
+ * declarator holding it. Type-only imports are left out.
+ */
+function collectImports(ast, packageNames) {
+  const imports = [];
+
+  walk(ast, {
+    // import Default, { Named, Other as Alias } from 'package'
+    // import * as Namespace from 'package'
+    // Type-only imports (`import type { Props }`, `import { type Props }`)
+    // never reach JSX or calls, so they are left out
+    ImportDeclaration(node) {
+      if (isTypeImport(node)) {
+        return;
+      }
+      const target = matchModule(node.source.value, packageNames);
+
+      for (const specifier of node.specifiers) {
+        if (isTypeImport(specifier)) {
+          continue;
+        }
+        if (specifier.type === "ImportDefaultSpecifier") {
+          imports.push({
+            ...target,
+            kind: "default",
+            imported: null,
+            local: specifier.local.name,
+            node: specifier,
+            declaration: node,
+          });
+        } else if (specifier.type === "ImportNamespaceSpecifier") {
+          imports.push({
+            ...target,
+            kind: "namespace",
+            imported: null,
+            local: specifier.local.name,
+            node: specifier,
+            declaration: node,
+          });
+        } else {
+          const { imported } = specifier;
+          imports.push({
+            ...target,
+            kind: "named",
+            imported: exportName(imported),
+            local: specifier.local.name,
+            node: specifier,
+            declaration: node,
+          });
+        }
+      }
+    },
+
+    // const { Named, Other: Alias } = require('package')
+    // const Package = require('package')
+    VariableDeclarator(node) {
+      const specifier = requiredModule(node.init);
+      if (!specifier) {
+        return;
+      }
+      const target = matchModule(specifier, packageNames);
+
+      if (node.id.type === "Identifier") {
+        imports.push({
+          ...target,
+          kind: "default",
+          imported: null,
+          local: node.id.name,
+          node: node.id,
+          declaration: node,
+        });
+      } else if (node.id.type === "ObjectPattern") {
+        for (const property of node.id.properties) {
+          if (property.type !== "ObjectProperty" || property.computed) {
+            continue;
+          }
+          // { Named = fallback } binds the left-hand identifier
+          const binding =
+            property.value.type === "AssignmentPattern"
+              ? property.value.left
+              : property.value;
+          if (binding.type !== "Identifier") {
+            continue;
+          }
+          imports.push({
+            ...target,
+            kind: "named",
+            imported: exportName(property.key),
+            local: binding.name,
+            node: property,
+            declaration: node,
+          });
+        }
+      }
+    },
+  });
+
+  return imports;
+}
+
+/**
+ * Return the module specifier of an `import("...")` call, or null
+ */
+function importedModule(node) {
+  if (!node) {
+    return null;
+  }
+  // Babel 8 parses import() as ImportExpression, Babel 7 as a call
+  const argument =
+    node.type === "ImportExpression"
+      ? node.source
+      : node.type === "CallExpression" && node.callee.type === "Import"
+      ? node.arguments[0]
+      : null;
+  if (argument && argument.type === "StringLiteral") {
+    return argument.value;
+  }
+  if (
+    argument &&
+    argument.type === "TemplateLiteral" &&
+    argument.expressions.length === 0
+  ) {
+    return argument.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * The expression a function returns when that is all it does:
+ * `() => x` or `function () { return x; }`
+ */
+function returnedExpression(fn) {
+  if (
+    !fn ||
+    (fn.type !== "ArrowFunctionExpression" && fn.type !== "FunctionExpression")
+  ) {
+    return null;
+  }
+  if (fn.body.type !== "BlockStatement") {
+    return fn.body;
+  }
+  const [statement] = fn.body.body;
+  return fn.body.body.length === 1 && statement.type === "ReturnStatement"
+    ? statement.argument
+    : null;
+}
+
+/**
+ * Export a `.then()` callback picks from a module: `(m) => m.Modal`,
+ * `({ Modal }) => Modal` or `(m) => ({ default: m.Modal })` as React.lazy()
+ * expects it. Returns the export name, or null.
+ */
+function pickedExport(callback) {
+  const param = callback && callback.params && callback.params[0];
+  let picked = returnedExpression(callback);
+  if (picked && picked.type === "ObjectExpression") {
+    const property = picked.properties.find(
+      (candidate) =>
+        candidate.type === "ObjectProperty" &&
+        !candidate.computed &&
+        exportName(candidate.key) === "default"
+    );
+    picked = property ? property.value : null;
+  }
+  if (!param || !picked) {
+    return null;
+  }
+
+  if (param.type === "Identifier") {
+    const parts = memberPath(picked);
+    return parts && parts.length === 2 && parts[0] === param.name
+      ? parts[1]
+      : null;
+  }
+  if (param.type === "ObjectPattern" && picked.type === "Identifier") {
+    const property = param.properties.find(
+      (candidate) =>
+        candidate.type === "ObjectProperty" &&
+        !candidate.computed &&
+        candidate.value.type === "Identifier" &&
+        candidate.value.name === picked.name
+    );
+    return property ? exportName(property.key) : null;
+  }
+  return null;
+}
+
+/**
+ * Describe a dynamic import: `import("x")`, awaited or not, optionally
+ * followed by a `.then()` picking one export. Returns `{ call, specifier,
+ * imported, awaited }` with the `import()` call and the export picked (null
+ * for the whole module), or null.
+ */
+function dynamicImport(node) {
+  const awaited = Boolean(node && node.type === "AwaitExpression");
+  if (awaited) {
+    node = node.argument;
+  }
+
+  const specifier = importedModule(node);
+  if (specifier !== null) {
+    return { call: node, specifier, imported: null, awaited };
+  }
+
+  if (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "MemberExpression" &&
+    !node.callee.computed &&
+    node.callee.property.name === "then"
+  ) {
+    const call = node.callee.object;
+    const imported = pickedExport(node.arguments[0]);
+    if (importedModule(call) !== null && imported) {
+      return { call, specifier: importedModule(call), imported, awaited };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a lazily loaded component: `lazy(() => import("x"))`,
+ * `React.lazy(...)`, `dynamic(...)` or `loadable(...)`. These load the
+ * default export unless the import picks another one.
+ */
+function lazyImport(node) {
+  if (!node || node.type !== "CallExpression") {
+    return null;
+  }
+  const callee = memberPath(node.callee);
+  if (!callee || !lazyLoaders.has(callee[callee.length - 1])) {
+    return null;
+  }
+  const loaded = dynamicImport(returnedExpression(node.arguments[0]));
+  return loaded && { ...loaded, imported: loaded.imported || "default" };
+}
+
+/**
+ * Collect the dynamic imports of a file that load something in particular.
+ * Entries look like those of collectImports(), plus the `import()` call as
+ * `node`; `local` is null when the import is not bound to a name:
+ *
+ * - const Chart = lazy(() => import("@acme/charts"))
+ * - const { Modal } = await import("@acme/ui")
+ * - const Ui = await import("@acme/ui")
+ * - import("@acme/ui").then((m) => m.Modal)
+ *
+ * Imports of a whole module that bind nothing, like prefetching with
+ * `import("@acme/ui")`, are left out.
+ */
+function collectDynamicImports(ast, packageNames) {
+  const imports = [];
+  const seen = new Set();
+
+  function add(loaded, local, imported) {
+    seen.add(loaded.call);
+    imports.push({
+      ...matchModule(loaded.specifier, packageNames),
+      kind:
+        imported === null
+          ? "namespace"
+          : imported === "default"
+          ? "default"
+          : "named",
+      imported: imported === "default" ? null : imported,
+      local,
+      node: loaded.call,
+    });
+  }
+
+  walk(ast, {
+    // const Chart = lazy(() => import('package'))
+    // const Package = await import('package')
+    // const { Named, Other: Alias } = await import('package')
+    VariableDeclarator(node) {
+      const loaded = lazyImport(node.init) || dynamicImport(node.init);
+      if (!loaded) {
+        return;
+      }
+
+      if (node.id.type === "Identifier") {
+        // Without await, the binding is a promise of the module
+        if (loaded.imported !== null || loaded.awaited) {
+          add(loaded, node.id.name, loaded.imported);
+        }
+      } else if (
+        node.id.type === "ObjectPattern" &&
+        loaded.imported === null &&
+        loaded.awaited
+      ) {
+        for (const property of node.id.properties) {
+          if (
+            property.type === "ObjectProperty" &&
+            !property.computed &&
+            property.value.type === "Identifier"
+          ) {
+            add(loaded, property.value.name, exportName(property.key));
+          }
+        }
+      }
+    },
+
+    // lazy(() => import('package')) and import('package').then((m) => m.X)
+    // anywhere else
+    CallExpression(node) {
+      const loaded = lazyImport(node) || dynamicImport(node);
+      if (loaded && loaded.imported !== null && !seen.has(loaded.call)) {
+        add(loaded, null, loaded.imported);
+      }
+    },
+  });
+
+  return imports;
+}
+
+/**
+ * Names a declaration binds: `export const A = 1, B = 2`, `export function
+ * A() {}` or `export class A {}`
+ */
+function declaredNames(declaration) {
+  if (
+    declaration.type === "TSInterfaceDeclaration" ||
+    declaration.type === "TSTypeAliasDeclaration"
+  ) {
+    return [];
+  }
+  if (declaration.type === "VariableDeclaration") {
+    return declaration.declarations
+      .filter((declarator) => declarator.id.type === "Identifier")
+      .map((declarator) => declarator.id.name);
+  }
+  return declaration.id && declaration.id.type === "Identifier"
+    ? [declaration.id.name]
+    : [];
+}
+
+/**
+ * Whether an export only exports types, which never reach JSX or calls:
+ * `export type { Props }` or `export interface Props {}`. Ambient value
+ * declarations (`export declare const Button: FC`) are marked as type
+ * exports too, but do declare a value.
+ */
+function isTypeExport(node) {
+  return (
+    node.exportKind === "type" &&
+    !(node.declaration && node.declaration.declare)
+  );
+}
+
+/**
+ * Export specifiers other than type-only ones (`export { type Props }`)
+ */
+function valueSpecifiers(node) {
+  return node.specifiers.filter((specifier) => specifier.exportKind !== "type");
+}
+
+/**
+ * Collect a module's exports, leaving out type-only ones. Each entry has the
+ * `exported` name ("default" for default exports, "*" for `export * from`)
+ * and either the `local` binding it exports (null for anonymous default
+ * exports) or, for re-exports, the module it comes from (as `source`,
+ * `subpath` and `specifier`, like imports) and the `imported` name there
+ * ("*" for `export * as Namespace from`).
+ */
+function collectExports(ast, packageNames) {
+  const exports = [];
+
+  for (const node of ast.program.body) {
+    if (isTypeExport(node)) {
+      continue;
+    }
+
+    if (node.type === "ExportAllDeclaration") {
+      // export * from 'module'
+      exports.push({
+        ...matchModule(node.source.value, packageNames),
+        exported: "*",
+        imported: "*",
+      });
+    } else if (node.type === "ExportNamedDeclaration" && node.source) {
+      // export { Named, default as Alias } from 'module'
+      // export * as Namespace from 'module'
+      const target = matchModule(node.source.value, packageNames);
+      for (const specifier of valueSpecifiers(node)) {
+        exports.push({
+          ...target,
+          exported: exportName(specifier.exported),
+          imported:
+            specifier.type === "ExportNamespaceSpecifier"
+              ? "*"
+              : exportName(specifier.local),
+        });
+      }
+    } else if (node.type === "ExportNamedDeclaration") {
+      // export { Local, Other as Alias }
+      // export const Local = ...
+      for (const specifier of valueSpecifiers(node)) {
+        exports.push({
+          exported: exportName(specifier.exported),
+          local: specifier.local.name,
+        });
+      }
+      if (node.declaration) {
+        for (const name of declaredNames(node.declaration)) {
+          exports.push({ exported: name, local: name });
+        }
+      }
+    } else if (node.type === "ExportDefaultDeclaration") {
+      // export default Local
+      // export default function Local() {}
+      // export default memo(...), with no local binding
+      const { declaration } = node;
+      const local =
+        declaration.type === "Identifier"
+          ? declaration.name
+          : (declaration.id && declaration.id.name) || null;
+      exports.push({ exported: "default", local });
+    }
+  }
+
+  return exports;
+}
+
+module.exports = {
+  collectImports,
+  collectDynamicImports,
+  collectExports,
+  subpathExportName,
+};
@@ -0,0 +1,254 @@
+const { memberPath } = require("./ast");
+
+// What a package export is, in report order
+const exportKinds = ["component", "hook", "utility", "constant", "type"];
+
+// Types of React components in declaration files, by their last segment
+// (`React.FC`, `ForwardRefExoticComponent<...>`)
+const componentTypes = new Set([
+  "FC",
+  "VFC",
+  "FunctionComponent",
+  "ComponentType",
+  "ComponentClass",
+  "ExoticComponent",
+  "NamedExoticComponent",
+  "ForwardRefExoticComponent",
+  "MemoExoticComponent",
+  "LazyExoticComponent",
+  "StyledComponent",
+]);
+
+// Calls whose result is a component: `memo(...)`, `React.forwardRef(...)`
+const componentFactories = new Set(["memo", "forwardRef", "lazy", "styled"]);
+
+/**
+ * Kind of an export by naming convention: `useTheme` is a hook,
+ * `API_URL` a constant, `Button` a component and `formatDate` a utility.
+ */
+function kindFromName(name) {
+  const last = name.replace(/^\*/, "");
+  if (/^use($|[A-Z0-9_])/.test(last)) {
+    return "hook";
+  }
+  if (/^[A-Z][A-Z0-9_]+$/.test(last)) {
+    return "constant";
+  }
+  return /^[A-Z]/.test(last) ? "component" : "utility";
+}
+
+/**
+ * Kind of a function by its name: hooks and components are functions too
+ */
+function functionKind(name) {
+  const kind = kindFromName(name);
+  return kind === "constant" ? "utility" : kind;
+}
+
+function typeName(typeNode) {
+  const path =
+    typeNode.typeName &&
+    (typeNode.typeName.type === "TSQualifiedName"
+      ? [typeNode.typeName.left.name, typeNode.typeName.right.name]
+      : [typeNode.typeName.name]);
+  return path ? path[path.length - 1] : null;
+}
+
+/**
+ * Kinds of the names a module declares, read from its declarations:
+ * interfaces and type aliases are types, enums constants, functions hooks,
+ * components or utilities by name, and classes components when they extend
+ * `Component`. Variables go by their type annotation or initializer, so
+ * `declare const Button: FC<Props>` is a component and
+ * `declare const theme: { colors: string[] }` a constant. Names whose kind
+ * cannot be told this way are left out.
+ */
+function declarationKinds(ast) {
+  const kinds = new Map();
+  const typeAliases = new Map();
+  const interfaces = new Map();
+
+  const declarations = ast.program.body.map((node) =>
+    node.type === "ExportNamedDeclaration" ||
+    node.type === "ExportDefaultDeclaration"
+      ? node.declaration
+      : node
+  );
+
+  for (const declaration of declarations.filter(Boolean)) {
+    if (declaration.type === "TSTypeAliasDeclaration") {
+      typeAliases.set(declaration.id.name, declaration.typeAnnotation);
+    } else if (declaration.type === "TSInterfaceDeclaration") {
+      interfaces.set(declaration.id.name, declaration.body.body);
+    }
+  }
+
+  // Whether a type describes something callable, or null when unknown
+  function isCallable(typeNode, seen = new Set()) {
+    if (typeNode.type === "TSFunctionType") {
+      return true;
+    }
+    if (typeNode.type === "TSTypeLiteral") {
+      return typeNode.members.some(
+        (member) => member.type === "TSCallSignatureDeclaration"
+      );
+    }
+    if (typeNode.type === "TSTypeReference") {
+      const name = typeName(typeNode);
+      if (seen.has(name)) {
+        return null;
+      }
+      seen.add(name);
+      if (typeAliases.has(name)) {
+        return isCallable(typeAliases.get(name), seen);
+      }
+      if (interfaces.has(name)) {
+        return interfaces
+          .get(name)
+          .some((member) => member.type === "TSCallSignatureDeclaration");
+      }
+      return null;
+    }
+    if (typeNode.type === "TSParenthesizedType") {
+      return isCallable(typeNode.typeAnnotation, seen);
+    }
+    // Keywords, literals, arrays, tuples and `readonly` ones
+    return [
+      "TSStringKeyword",
+      "TSNumberKeyword",
+      "TSBooleanKeyword",
+      "TSBigIntKeyword",
+      "TSSymbolKeyword",
+      "TSLiteralType",
+      "TSArrayType",
+      "TSTupleType",
+      "TSTypeOperator",
+    ].includes(typeNode.type)
+      ? false
+      : null;
+  }
+
+  function variableKind(name, annotation, init) {
+    if (annotation) {
+      if (
+        annotation.type === "TSTypeReference" &&
+        componentTypes.has(typeName(annotation))
+      ) {
+        return "component";
+      }
+      const callable = isCallable(annotation);
+      if (callable !== null) {
+        return callable ? functionKind(name) : "constant";
+      }
+    }
+    if (!init) {
+      return null;
+    }
+    if (
+      init.type === "ArrowFunctionExpression" ||
+      init.type === "FunctionExpression"
+    ) {
+      return functionKind(name);
+    }
+    if (
+      init.type === "CallExpression" ||
+      init.type === "TaggedTemplateExpression"
+    ) {
+      // styled(Button)`...` and styled.div`...` alike
+      let callee = init.callee || init.tag;
+      while (callee.type === "CallExpression") {
+        callee = callee.callee;
+      }
+      const path = memberPath(callee) || [];
+      return componentFactories.has(path[0]) ||
+        componentFactories.has(path[path.length - 1])
+        ? "component"
+        : null;
+    }
+    return /Literal$|^ObjectExpression$|^ArrayExpression$/.test(init.type)
+      ? "constant"
+      : null;
+  }
+
+  for (const declaration of declarations.filter(Boolean)) {
+    const { type } = declaration;
+    const name = declaration.id && declaration.id.name;
+
+    if (
+      type === "TSInterfaceDeclaration" ||
+      type === "TSTypeAliasDeclaration"
+    ) {
+      kinds.set(name, "type");
+    } else if (type === "TSEnumDeclaration") {
+      kinds.set(name, "constant");
+    } else if (
+      (type === "FunctionDeclaration" || type === "TSDeclareFunction") &&
+      name
+    ) {
+      kinds.set(name, functionKind(name));
+    } else if (type === "ClassDeclaration" && name) {
+      const superClass =
+        (declaration.superClass && memberPath(declaration.superClass)) || [];
+      kinds.set(
+        name,
+        /^(Pure)?Component$/.test(superClass[superClass.length - 1])
+          ? "component"
+          : "utility"
+      );
+    } else if (type === "VariableDeclaration") {
+      for (const { id, init } of declaration.declarations) {
+        if (id.type !== "Identifier") {
+          continue;
+        }
+        const kind = variableKind(
+          id.name,
+          id.typeAnnotation && id.typeAnnotation.typeAnnotation,
+          init
+        );
+        if (kind) {
+          kinds.set(id.name, kind);
+        }
+      }
+    }
+  }
+
+  return kinds;
+}
+
+/**
+ * Names a module exports as types only: `export interface Props {}`,
+ * `export type { Props }`, `export { type Props }` and the same re-exported
+ * from another module
+ */
+function typeExportNames(ast) {
+  const names = [];
+  for (const node of ast.program.body) {
+    if (node.type !== "ExportNamedDeclaration") {
+      continue;
+    }
+    const { declaration } = node;
+    if (
+      declaration &&
+      (declaration.type === "TSInterfaceDeclaration" ||
+        declaration.type === "TSTypeAliasDeclaration")
+    ) {
+      names.push(declaration.id.name);
+    }
+    for (const specifier of node.specifiers) {
+      if (
+        (node.exportKind === "type" || specifier.exportKind === "type") &&
+        specifier.exported
+      ) {
+        names.push(specifier.exported.name || specifier.exported.value);
+      }
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  exportKinds,
+  kindFromName,
+  declarationKinds,
+  typeExportNames,
+};
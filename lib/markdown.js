@@ -0,0 +1,281 @@
+const { describeCounting } = require("./text");
+
+/**
+ * Escape text for a table cell or list item, where pipes end the cell and
+ * line breaks the row
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>|])/g, "\\$1")
+    .replace(/\r?\n/g, " ");
+}
+
+/**
+ * Table whose columns of numbers are right-aligned
+ */
+function table(headers, rows) {
+  const alignments = headers.map((_, i) =>
+    rows.every((row) => /^[+-]?\d+$/.test(String(row[i]))) ? "---:" : "---"
+  );
+  const lines = [
+    `| ${headers.join(" | ")} |`,
+    `| ${alignments.join(" | ")} |`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+  ];
+  return `${lines.join("\n")}\n\n`;
+}
+
+/**
+ * Collapsible section; GitHub only renders Markdown inside it after a blank
+ * line
+ */
+function details(summary, body) {
+  return `<details>\n<summary>${summary}</summary>\n\n${body}</details>\n\n`;
+}
+
+/**
+ * Fenced code block, with a fence longer than any backtick run in the code
+ */
+function codeBlock(lines) {
+  const longest = Math.max(
+    2,
+    ...lines
+      .join("\n")
+      .match(/`*/g)
+      .map((run) => run.length)
+  );
+  const fence = "`".repeat(longest + 1);
+  return `${fence}\n${lines.join("\n")}\n${fence}\n\n`;
+}
+
+function signed(number) {
+  return number > 0 ? `+${number}` : `${number}`;
+}
+
+function renderComparison(comparison) {
+  let markdown = `## Changes since baseline\n\n`;
+  markdown += `Compared with the report of ${comparison.baselineGeneratedAt}.\n\n`;
+  markdown += table(
+    ["Package", "Before", "After", "Change"],
+    comparison.packages.map((pkg) => [
+      `\`${pkg.name}\`${pkg.status === "changed" ? "" : ` (${pkg.status})`}`,
+      pkg.before,
+      pkg.after,
+      signed(pkg.after - pkg.before),
+    ])
+  );
+
+  for (const pkg of comparison.packages) {
+    if (pkg.changedComponents.length > 0) {
+      markdown += details(
+        `Changed usage in <code>${pkg.name}</code>`,
+        table(
+          ["Component", "Before", "After", "Change"],
+          pkg.changedComponents.map((component) => [
+            `\`${component.name}\``,
+            component.before.total,
+            component.after.total,
+            signed(component.delta),
+          ])
+        )
+      );
+    }
+
+    const files = [
+      ...pkg.adoptingFiles.map((file) => `- Started importing: ${file}`),
+      ...pkg.droppedFiles.map((file) => `- Stopped importing: ${file}`),
+    ];
+    if (files.length > 0) {
+      markdown += details(
+        `Files adopting or dropping <code>${pkg.name}</code>`,
+        `${files.map(escapeMarkdown).join("\n")}\n\n`
+      );
+    }
+  }
+
+  return markdown;
+}
+
+// Summary line of each rollup's collapsible section
+const rollupTitles = {
+  directory: ({ depth }) => `Usage by directory (depth ${depth})`,
+  workspace: () => "Usage by workspace",
+  owner: () => "Usage by owner",
+};
+
+function renderRollup(rollup) {
+  return details(
+    rollupTitles[rollup.by](rollup),
+    table(
+      ["Group", "Files", "Instances", "Components"],
+      rollup.groups.map((group) => [
+        escapeMarkdown(group.name),
+        group.fileCount,
+        group.totalCount,
+        group.components
+          .map(({ name, totalCount }) => `\`${name}\` (${totalCount})`)
+          .join(", "),
+      ])
+    )
+  );
+}
+
+// Row label of each kind of export in the summary table
+const kindLabels = {
+  component: "Components",
+  hook: "Hooks",
+  utility: "Utilities",
+  constant: "Constants",
+  type: "Types",
+};
+
+function renderPackage(pkg) {
+  const { summary } = pkg;
+  let markdown = `## \`${pkg.name}\`\n\n`;
+
+  markdown += table(
+    [
+      "Kind",
+      "Imported",
+      "JSX",
+      "Calls",
+      "Values",
+      "Dynamic",
+      "Total instances",
+    ],
+    Object.entries(summary.kinds)
+      .filter(
+        ([kind, counts]) =>
+          kind === "component" || counts.imported || counts.totalInstances
+      )
+      .map(([kind, counts]) => [
+        kindLabels[kind],
+        counts.imported,
+        counts.jsxInstances,
+        counts.callInstances,
+        counts.valueInstances,
+        counts.dynamicInstances,
+        counts.totalInstances,
+      ])
+  );
+
+  // Most used first, like the text report
+  const components = [...pkg.components].sort(
+    (a, b) => b.totalCount - a.totalCount || (a.name < b.name ? -1 : 1)
+  );
+
+  if (components.length > 0) {
+    markdown += table(
+      [
+        "Name",
+        "Kind",
+        "Imported in",
+        "JSX",
+        "Calls",
+        "Values",
+        "Dynamic",
+        "Total",
+      ],
+      components.map((component) => [
+        `\`${component.name}\``,
+        component.kind,
+        component.importedIn.length,
+        component.jsxCount,
+        component.callCount,
+        component.valueCount,
+        component.dynamicCount,
+        component.totalCount,
+      ])
+    );
+  }
+
+  for (const { alias, importedIn } of pkg.namespaceImports) {
+    markdown += `Imported as the namespace \`${alias}\` in ${importedIn.length} file(s).\n\n`;
+  }
+
+  const used = components.filter((component) => component.totalCount > 0);
+  if (used.length > 0) {
+    const lines = [];
+    for (const component of used) {
+      lines.push(`${component.name} (${component.totalCount})`);
+      component.files.forEach(({ file, occurrences }) => {
+        occurrences.forEach(({ line, column, snippet, via }) => {
+          lines.push(
+            `  ${file}:${line}:${column}  ${snippet}${
+              via ? `  (via ${via})` : ""
+            }`
+          );
+        });
+      });
+    }
+    markdown += details("Call sites", codeBlock(lines));
+  }
+
+  pkg.rollups.forEach((rollup) => {
+    markdown += renderRollup(rollup);
+  });
+
+  // Only components, hooks and utilities are counted when used
+  const unused = components.filter(
+    (component) =>
+      component.importedIn.length &&
+      !component.totalCount &&
+      component.kind !== "constant" &&
+      component.kind !== "type"
+  );
+  if (unused.length > 0) {
+    markdown += `Imported but never used: ${unused
+      .map(({ name }) => `\`${name}\``)
+      .join(", ")}\n\n`;
+  }
+
+  if (!pkg.api) {
+    markdown += `_Could not read the exports of \`${pkg.name}\`._\n\n`;
+  } else if (pkg.api.unusedExports.length > 0) {
+    const { exports, unusedExports } = pkg.api;
+    markdown += details(
+      `Exports with no consumers (${unusedExports.length} of ${exports.length})`,
+      `${unusedExports.map((name) => `- \`${name}\``).join("\n")}\n\n`
+    );
+  }
+
+  return markdown;
+}
+
+/**
+ * Render the report data as GitHub-flavored Markdown, for pull request
+ * comments: summary tables per package, with call sites and unused exports
+ * in collapsible sections
+ */
+function renderMarkdown(model) {
+  let markdown = `# Component usage\n\n`;
+  markdown += `Scanned \`${model.root}\` on ${
+    model.generatedAt
+  }, counting ${describeCounting(model.counting)}.\n\n`;
+
+  if (model.comparison) {
+    markdown += renderComparison(model.comparison);
+  }
+
+  for (const pkg of model.packages) {
+    markdown += renderPackage(pkg);
+  }
+
+  if (model.packages.length > 1) {
+    markdown += `## All packages\n\n`;
+    markdown += table(
+      ["Package", "Imported components", "Component instances"],
+      model.packages.map(({ name, summary }) => [
+        `\`${name}\``,
+        summary.kinds.component.imported,
+        summary.kinds.component.totalInstances,
+      ])
+    );
+  }
+
+  return markdown;
+}
+
+module.exports = {
+  renderMarkdown,
+};
@@ -0,0 +1,705 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { createTwoFilesPatch } = require("diff");
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const { parseSource, walk, memberPath } = require("./ast");
+const { collectImports } = require("./imports");
+const { analyzeSource } = require("./analyze");
+const { linkProject } = require("./project");
+const { splitComponentFile } = require("./sfc");
+const { walkFiles } = require("./walk");
+const { mapConcurrent } = require("./concurrency");
+const { ConfigError, resolveConfig } = require("./config");
+
+/**
+ * Load the prop mapping of a migration: a JSON object mapping the names of
+ * props to rename to their new names, and those of props to drop to null
+ */
+async function loadPropMapping(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, "utf8");
+  } catch (error) {
+    throw new ConfigError(
+      `Could not read the prop mapping ${filePath}: ${error.message}`
+    );
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(
+      `Prop mapping ${filePath} is not valid JSON: ${error.message}`
+    );
+  }
+  if (
+    mapping === null ||
+    typeof mapping !== "object" ||
+    Array.isArray(mapping)
+  ) {
+    throw new ConfigError(
+      `Expected an object of prop names in ${filePath}, such as { "kind": "variant", "legacy": null }`
+    );
+  }
+  for (const [name, value] of Object.entries(mapping)) {
+    if (value !== null && (typeof value !== "string" || value === "")) {
+      throw new ConfigError(
+        `"${name}" in ${filePath} must map to a prop name, or null to drop it`
+      );
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Check the names of a migration, returning it with the defaults filled
+ * in: the export keeps its name when only moving to another package
+ */
+function validateMigration({
+  package: packageName,
+  from,
+  to,
+  toPackage,
+  props = {},
+}) {
+  const identifier = /^[A-Za-z_$][\w$]*$/;
+  if (!identifier.test(from || "")) {
+    throw new ConfigError(`Expected the export to migrate from, got "${from}"`);
+  }
+  if (to !== undefined && !identifier.test(to)) {
+    throw new ConfigError(`Expected the export to migrate to, got "${to}"`);
+  }
+  return {
+    package: packageName,
+    from,
+    to: to || from,
+    toPackage: toPackage || packageName,
+    props,
+  };
+}
+
+/**
+ * Replace the `{ start, end }` ranges of `content` with their `text`.
+ * Edits of the same range are only applied once.
+ */
+function applyEdits(content, edits) {
+  const byRange = new Map(
+    edits.map((edit) => [`${edit.start}:${edit.end}`, edit])
+  );
+  let result = content;
+  for (const { start, end, text } of [...byRange.values()].sort(
+    (a, b) => b.start - a.start
+  )) {
+    result = result.slice(0, start) + text + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Edit removing an attribute along with the whitespace before it
+ */
+function attributeRemoval(content, start, end) {
+  while (start > 0 && /\s/.test(content[start - 1])) {
+    start--;
+  }
+  return { start, end, text: "" };
+}
+
+/**
+ * Edit removing one item of a comma-separated list of nodes, such as the
+ * specifiers of an import, with the comma that separates it
+ */
+function listItemRemoval(items, item) {
+  const index = items.indexOf(item);
+  return index < items.length - 1
+    ? { start: item.start, end: items[index + 1].start, text: "" }
+    : { start: items[index - 1].end, end: item.end, text: "" };
+}
+
+/**
+ * Kebab-case name of a component or prop, as Vue templates may write it
+ */
+function kebabCase(name) {
+  return name.replace(
+    /[A-Z]/g,
+    (letter, index) => `${index ? "-" : ""}${letter.toLowerCase()}`
+  );
+}
+
+/**
+ * Prop name of a markup attribute: Vue matches `is-open` to the isOpen prop
+ */
+function camelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Rewrite one file for a migration: imports of `from` from `package` become
+ * imports of `to` from `toPackage`, and the tags, calls and other references
+ * using them follow, with the props of the tags renamed or dropped as the
+ * `props` mapping says. Formatting is kept as it was outside of the edited
+ * code. Returns `{ content, warnings }`, where content is the input itself
+ * when nothing had to change.
+ */
+function migrateSource(content, filePath, migration) {
+  const { from, to, toPackage, props } = migration;
+  const unchanged = { content, warnings: [] };
+  if (!content.includes(from)) {
+    return unchanged;
+  }
+
+  const singleFile = splitComponentFile(content, filePath);
+  const ast = singleFile
+    ? parseSource(singleFile.script, filePath, singleFile.scriptExtension)
+    : parseSource(content, filePath);
+  const entries = collectImports(ast, [migration.package, toPackage]);
+  const fromPackage = entries.filter(
+    (entry) => entry.source === migration.package
+  );
+  const targets = fromPackage.filter(
+    (entry) => entry.kind === "named" && entry.imported === from
+  );
+  const namespaces = new Set(
+    fromPackage
+      .filter((entry) => entry.kind === "namespace")
+      .map((entry) => entry.local)
+  );
+  // Modules re-exporting it, such as barrel files, pass it on unchanged
+  const reexports = ast.program.body.filter(
+    (node) =>
+      (node.type === "ExportNamedDeclaration" ||
+        node.type === "ExportAllDeclaration") &&
+      node.source &&
+      node.source.value === migration.package &&
+      (node.type === "ExportAllDeclaration" ||
+        node.specifiers.some(
+          (specifier) =>
+            specifier.local &&
+            (specifier.local.name || specifier.local.value) === from
+        ))
+  );
+  if (targets.length === 0 && namespaces.size === 0 && reexports.length === 0) {
+    return unchanged;
+  }
+
+  const edits = [];
+  const warnings = [];
+  const moving = toPackage !== migration.package;
+
+  // Names used in the file, to avoid renaming a binding onto another one
+  const usedNames = new Set();
+  walk(ast, {
+    Identifier(node) {
+      usedNames.add(node.name);
+    },
+  });
+
+  // Bindings of the migrated export, old local name -> new local name
+  const renames = new Map();
+  // Where the new export is already imported, that binding is reused
+  const existing = entries.find(
+    (entry) =>
+      entry.specifier === toPackage &&
+      entry.kind === "named" &&
+      entry.imported === to &&
+      !targets.includes(entry)
+  );
+
+  function quoted(declaration, specifier) {
+    const source = declaration.source || declaration.init.arguments[0];
+    const quote = content[source.start];
+    return `${quote}${specifier}${quote}`;
+  }
+
+  function removeImport(entry) {
+    const { declaration } = entry;
+    const items = declaration.specifiers || declaration.id.properties;
+    if (items.length > 1) {
+      const named = items.filter((item) => item.type === "ImportSpecifier");
+      if (named.length === 1 && declaration.specifiers) {
+        // import Default, { Legacy } from "...": drop the braces too
+        const close = content.indexOf("}", entry.node.end) + 1;
+        const previous = items[items.indexOf(entry.node) - 1];
+        edits.push({ start: previous.end, end: close, text: "" });
+      } else {
+        edits.push(listItemRemoval(items, entry.node));
+      }
+      return true;
+    }
+
+    // The only import of a statement goes with the whole line
+    const statement = declaration.specifiers
+      ? declaration
+      : ast.program.body.find(
+          (node) =>
+            node.type === "VariableDeclaration" &&
+            node.declarations.length === 1 &&
+            node.declarations[0] === declaration
+        );
+    if (!statement) {
+      return false;
+    }
+    const end =
+      content[statement.end] === "\n" ? statement.end + 1 : statement.end;
+    edits.push({ start: statement.start, end, text: "" });
+    return true;
+  }
+
+  // Import `text` (a specifier, or a destructured property for require())
+  // from the new package: into an import of it that is already there, in
+  // place of the old package when nothing else is imported, or else in a
+  // statement of its own below
+  function moveImport(entry, text) {
+    const { declaration } = entry;
+    const items = declaration.specifiers || declaration.id.properties;
+    if (items.length === 1) {
+      const source = declaration.source || declaration.init.arguments[0];
+      edits.push({ start: entry.node.start, end: entry.node.end, text });
+      edits.push({
+        start: source.start,
+        end: source.end,
+        text: quoted(declaration, toPackage),
+      });
+      return true;
+    }
+
+    if (declaration.specifiers) {
+      const into = entries.find(
+        (other) =>
+          other.specifier === toPackage &&
+          other.kind === "named" &&
+          other.declaration.specifiers
+      );
+      removeImport(entry);
+      if (into) {
+        const named = into.declaration.specifiers.filter(
+          (item) => item.type === "ImportSpecifier"
+        );
+        const last = named[named.length - 1];
+        edits.push({ start: last.end, end: last.end, text: `, ${text}` });
+      } else {
+        const semicolon = content[declaration.end - 1] === ";" ? ";" : "";
+        edits.push({
+          start: declaration.end,
+          end: declaration.end,
+          text: `\nimport { ${text} } from ${quoted(
+            declaration,
+            toPackage
+          )}${semicolon}`,
+        });
+      }
+      return true;
+    }
+
+    const statement = ast.program.body.find(
+      (node) =>
+        node.type === "VariableDeclaration" &&
+        node.declarations.includes(declaration)
+    );
+    if (!statement) {
+      warnings.push(
+        `${from} is required along with other exports inside a function; move it to ${toPackage} by hand, the file is left as it is`
+      );
+      return false;
+    }
+    edits.push(listItemRemoval(items, entry.node));
+    const semicolon = content[statement.end - 1] === ";" ? ";" : "";
+    edits.push({
+      start: statement.end,
+      end: statement.end,
+      text: `\n${statement.kind} { ${text} } = require(${quoted(
+        declaration,
+        toPackage
+      )})${semicolon}`,
+    });
+    return true;
+  }
+
+  // References are only renamed once their import is, and a file whose
+  // imports cannot all be rewritten is left as it is
+  for (const entry of targets) {
+    if (existing) {
+      if (!removeImport(entry)) {
+        warnings.push(
+          `${from} is required inside a function; replace it with ${existing.local} by hand, the file is left as it is`
+        );
+        return { content, warnings };
+      }
+      if (existing.local !== entry.local) {
+        renames.set(entry.local, existing.local);
+      }
+      continue;
+    }
+
+    const local =
+      entry.local === from && (to === from || !usedNames.has(to))
+        ? to
+        : entry.local;
+    const isRequire = !entry.declaration.specifiers;
+    const separator = isRequire ? ": " : " as ";
+    const text = local === to ? to : `${to}${separator}${local}`;
+
+    if (moving) {
+      if (!moveImport(entry, text)) {
+        return { content, warnings };
+      }
+    } else if (to !== from) {
+      edits.push({ start: entry.node.start, end: entry.node.end, text });
+    }
+    if (local !== entry.local) {
+      renames.set(entry.local, local);
+    }
+  }
+
+  const targetLocals = new Set(targets.map((entry) => entry.local));
+  let warnedNamespace = false;
+
+  // Whether a tag name or callee refers to the migrated export
+  function isTarget(parts) {
+    return Boolean(
+      parts &&
+        ((parts.length === 1 && targetLocals.has(parts[0])) ||
+          (parts.length === 2 && namespaces.has(parts[0]) && parts[1] === from))
+    );
+  }
+
+  // `Ui.Legacy` becomes `Ui.New`, unless the export moves to another package
+  function renameMember(node) {
+    const object = node.object;
+    if (
+      node.computed ||
+      !object ||
+      !namespaces.has(object.name) ||
+      node.property.name !== from
+    ) {
+      return;
+    }
+    if (moving) {
+      if (!warnedNamespace) {
+        warnings.push(
+          `${object.name}.${from} is used through a namespace import; move it to ${toPackage} by hand`
+        );
+        warnedNamespace = true;
+      }
+    } else if (to !== from) {
+      edits.push({
+        start: node.property.start,
+        end: node.property.end,
+        text: to,
+      });
+    }
+  }
+
+  // The bindings themselves are rewritten along with their imports
+  const importRanges = targets.map((entry) => entry.node);
+
+  function renameReference(node, parent) {
+    if (
+      !renames.has(node.name) ||
+      !parent ||
+      importRanges.some(
+        (range) => node.start >= range.start && node.end <= range.end
+      )
+    ) {
+      return;
+    }
+    const notReference =
+      /^(Import|Export)\w*Specifier$/.test(parent.type) ||
+      parent.type === "JSXAttribute" ||
+      parent.type === "TSQualifiedName" ||
+      (parent.key === node && !parent.computed) ||
+      (parent.property === node && !parent.computed) ||
+      (parent.type === "ObjectProperty" && parent.shorthand);
+    if (!notReference) {
+      edits.push({
+        start: node.start,
+        end: node.end,
+        text: renames.get(node.name),
+      });
+    }
+  }
+
+  walk(ast, {
+    Identifier: renameReference,
+    JSXIdentifier: renameReference,
+    MemberExpression: renameMember,
+    JSXMemberExpression: renameMember,
+
+    // { Legacy } becomes { Legacy: New }
+    ObjectExpression(node) {
+      for (const property of node.properties) {
+        if (
+          property.type === "ObjectProperty" &&
+          property.shorthand &&
+          renames.has(property.key.name)
+        ) {
+          edits.push({
+            start: property.start,
+            end: property.end,
+            text: `${property.key.name}: ${renames.get(property.key.name)}`,
+          });
+        }
+      }
+    },
+
+    // export { Legacy } keeps exporting the old name
+    ExportSpecifier(node, parent) {
+      if (parent.source) {
+        return;
+      }
+      const local = node.local.name;
+      if (renames.has(local) && node.exported.start === node.local.start) {
+        edits.push({
+          start: node.start,
+          end: node.end,
+          text: `${renames.get(local)} as ${local}`,
+        });
+      } else if (renames.has(local)) {
+        edits.push({
+          start: node.local.start,
+          end: node.local.end,
+          text: renames.get(local),
+        });
+      }
+    },
+
+    JSXOpeningElement(node) {
+      if (!isTarget(memberPath(node.name))) {
+        return;
+      }
+      for (const attribute of node.attributes) {
+        if (
+          attribute.type !== "JSXAttribute" ||
+          attribute.name.type !== "JSXIdentifier" ||
+          !Object.prototype.hasOwnProperty.call(props, attribute.name.name)
+        ) {
+          continue;
+        }
+        const renamed = props[attribute.name.name];
+        edits.push(
+          renamed === null
+            ? attributeRemoval(content, attribute.start, attribute.end)
+            : {
+                start: attribute.name.start,
+                end: attribute.name.end,
+                text: renamed,
+              }
+        );
+      }
+    },
+  });
+
+  if (reexports.length > 0) {
+    warnings.push(
+      `${from} is re-exported here; migrate the modules importing it from this one by hand`
+    );
+  }
+
+  // Tags in the markup of Vue, Svelte, Astro and MDX files
+  for (const tag of singleFile ? singleFile.tags : []) {
+    if (!isTarget(tag.path)) {
+      continue;
+    }
+
+    let name = tag.name;
+    if (tag.path.length === 1 && renames.has(tag.path[0])) {
+      // A single-word name in kebab-case would be an HTML element
+      const renamed = renames.get(tag.path[0]);
+      name =
+        tag.name.includes("-") && kebabCase(renamed).includes("-")
+          ? kebabCase(renamed)
+          : renamed;
+    } else if (tag.path.length === 2 && !moving) {
+      name = `${tag.path[0]}.${to}`;
+    }
+    if (name !== tag.name) {
+      const nameStart = tag.start + 1;
+      edits.push({
+        start: nameStart,
+        end: nameStart + tag.name.length,
+        text: name,
+      });
+      const closing = new RegExp(`</${escapeRegExp(tag.name)}(?=[\\s>])`, "g");
+      let match;
+      while ((match = closing.exec(singleFile.markup))) {
+        edits.push({
+          start: match.index + 2,
+          end: match.index + 2 + tag.name.length,
+          text: name,
+        });
+      }
+    }
+
+    for (const attribute of tag.attributes) {
+      const kebab = attribute.name.includes("-");
+      const prop = camelCase(attribute.name);
+      if (!Object.prototype.hasOwnProperty.call(props, prop)) {
+        continue;
+      }
+      const renamed = props[prop];
+      edits.push(
+        renamed === null
+          ? attributeRemoval(content, attribute.start, attribute.end)
+          : {
+              start: attribute.nameStart,
+              end: attribute.nameEnd,
+              text: kebab ? kebabCase(renamed) : renamed,
+            }
+      );
+    }
+  }
+
+  return {
+    content: edits.length > 0 ? applyEdits(content, edits) : content,
+    warnings,
+  };
+}
+
+function logFileError(filePath, error) {
+  console.error(`Error processing file ${filePath}:`, error);
+}
+
+/**
+ * Usages of the migrated export that are still there once a file is
+ * migrated, as the scan finds them: the ones reaching it through a barrel
+ * file or a default or deep import, which are not rewritten. Without a new
+ * name or package, only the tags passing props to rename or drop are left.
+ */
+function leftoverUsages(result, migration) {
+  const { from, to, toPackage, props } = migration;
+  const renamed = to !== from || toPackage !== migration.package;
+  return result.usages.filter(
+    (usage) =>
+      usage.source === migration.package &&
+      usage.component === from &&
+      // Usages through a wrapper are migrated along with the wrapper
+      !usage.via &&
+      (renamed ||
+        (usage.props || []).some((prop) =>
+          Object.prototype.hasOwnProperty.call(props, camelCase(prop.name))
+        ))
+  );
+}
+
+/**
+ * Run a migration over the files `scan()` would scan with the same
+ * `options`, which also take the migration's `from` and `to` export names,
+ * the `toPackage` to move it to (by default the package it is in, the one
+ * package in `packages`) and the `props` mapping, as loaded by
+ * loadPropMapping(). Files are only written without `dryRun`, and only when
+ * they change; files that cannot be read, parsed or written are reported to
+ * `onFileError` and left alone. Migrated files are scanned again, linked
+ * like `scan()` links them, and the usages left over are added as warnings.
+ * Resolves to `{ file, before, after, warnings }` for each file that changes
+ * or has warnings.
+ */
+async function migrate(options = {}) {
+  const {
+    dir = process.cwd(),
+    from,
+    to,
+    toPackage,
+    props,
+    dryRun = false,
+    onFileError = logFileError,
+    ...configOptions
+  } = options;
+  const config = resolveConfig(configOptions, "migrate() options", {});
+  if (config.packages.length !== 1) {
+    throw new ConfigError(
+      `Migrations take one package, the one the export is in; got ${
+        config.packages.join(", ") || "none"
+      }`
+    );
+  }
+  const migration = validateMigration({
+    package: config.packages[0],
+    from,
+    to,
+    toPackage,
+    props,
+  });
+  const analyzeOptions = {
+    packages: config.packages,
+    mapSubpaths: config.mapSubpaths,
+    subpathExports: config.subpathExports,
+  };
+
+  const files = await mapConcurrent(
+    walkFiles(dir, config, onFileError),
+    config.concurrency,
+    async (filePath) => {
+      let before;
+      let migrated;
+      let analysis;
+      try {
+        before = await readFile(filePath, "utf8");
+        migrated = migrateSource(before, filePath, migration);
+        analysis = analyzeSource(migrated.content, filePath, analyzeOptions);
+      } catch (error) {
+        onFileError(filePath, error);
+        return null;
+      }
+      if (migrated.content !== before && !dryRun) {
+        try {
+          await writeFile(filePath, migrated.content);
+        } catch (error) {
+          onFileError(filePath, error);
+          return null;
+        }
+      }
+      return {
+        file: path.relative(process.cwd(), filePath),
+        before,
+        after: migrated.content,
+        warnings: migrated.warnings,
+        analysis,
+      };
+    }
+  );
+
+  const migrated = files.filter(Boolean);
+  await linkProject(
+    migrated.map(({ analysis }) => analysis),
+    config
+  );
+
+  const results = [];
+  for (const { analysis, ...result } of migrated) {
+    const leftover = leftoverUsages(analysis, migration);
+    if (leftover.length > 0 && result.warnings.length === 0) {
+      const lines = [...new Set(leftover.map((usage) => usage.line))];
+      result.warnings.push(
+        `${from} is still used on line(s) ${lines.join(
+          ", "
+        )}, through an import this command does not rewrite (a barrel file, or a default or deep import); migrate it by hand`
+      );
+    }
+    if (result.after !== result.before || result.warnings.length > 0) {
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Unified diff of a migrated file, as `git apply` and `patch -p1` take it
+ */
+function formatDiff({ file, before, after }) {
+  const name = file.split(path.sep).join("/");
+  return createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after);
+}
+
+module.exports = {
+  loadPropMapping,
+  migrateSource,
+  migrate,
+  formatDiff,
+};
@@ -0,0 +1,248 @@
+const { summarizeProps } = require("./props");
+const { rollUp } = require("./rollups");
+const { exportKinds, kindFromName } = require("./kinds");
+
+// Bump whenever the shape of the report data changes; see report.schema.json
+const SCHEMA_VERSION = 1;
+
+function sum(items, key) {
+  return items.reduce((total, item) => total + item[key], 0);
+}
+
+/**
+ * Kind of an imported name: as the package declares it when its API could
+ * be read, otherwise by naming convention
+ */
+function exportKind(name, api) {
+  return (api && api.kinds[name]) || kindFromName(name);
+}
+
+/**
+ * Imported names and instances of each export kind
+ */
+function summarizeKinds(components) {
+  const kinds = {};
+  for (const kind of exportKinds) {
+    const ofKind = components.filter((component) => component.kind === kind);
+    kinds[kind] = {
+      imported: ofKind.filter((component) => component.importedIn.length)
+        .length,
+      jsxInstances: sum(ofKind, "jsxCount"),
+      callInstances: sum(ofKind, "callCount"),
+      valueInstances: sum(ofKind, "valueCount"),
+      dynamicInstances: sum(ofKind, "dynamicCount"),
+      totalInstances: sum(ofKind, "totalCount"),
+    };
+  }
+  return kinds;
+}
+
+/**
+ * Add up the per-kind summaries of several packages
+ */
+function totalKinds(packageKinds) {
+  const kinds = {};
+  for (const kind of exportKinds) {
+    const ofKind = packageKinds.map((summary) => summary[kind]);
+    kinds[kind] = {
+      imported: sum(ofKind, "imported"),
+      jsxInstances: sum(ofKind, "jsxInstances"),
+      callInstances: sum(ofKind, "callInstances"),
+      valueInstances: sum(ofKind, "valueInstances"),
+      dynamicInstances: sum(ofKind, "dynamicInstances"),
+      totalInstances: sum(ofKind, "totalInstances"),
+    };
+  }
+  return kinds;
+}
+
+function countKinds(occurrences) {
+  const count = (kind) => occurrences.filter((o) => o.kind === kind).length;
+  return {
+    jsxCount: count("jsx"),
+    callCount: count("call"),
+    valueCount: count("value"),
+    dynamicCount: count("dynamic"),
+    totalCount: occurrences.length,
+  };
+}
+
+/**
+ * Build the per-file breakdown for one component, files sorted by path and
+ * occurrences by position
+ */
+function buildFiles(occurrences) {
+  const byFile = {};
+  for (const { file, props, ...occurrence } of occurrences) {
+    if (!byFile[file]) {
+      byFile[file] = [];
+    }
+    byFile[file].push(occurrence);
+  }
+
+  return Object.keys(byFile)
+    .sort()
+    .map((file) => {
+      const fileOccurrences = byFile[file].sort(
+        (a, b) => a.line - b.line || a.column - b.column
+      );
+      return {
+        file,
+        ...countKinds(fileOccurrences),
+        occurrences: fileOccurrences,
+      };
+    });
+}
+
+/**
+ * Build the report data for one package.
+ * `componentUsage` maps each tracked name to the files importing it,
+ * `componentSources` to the module specifiers it was imported through and
+ * `componentInstances` to its `{ file, line, column, snippet, kind }`
+ * occurrences, where kind is "jsx", "call", "value" or "dynamic". JSX
+ * occurrences also carry the `props` passed, as returned by collectProps().
+ * Namespace imports are tracked as `*Alias`. Each component is classified as
+ * one of exportKinds, with counts per kind in the summary.
+ * `componentWrappers` lists the `{ name, file, line }` of local components
+ * found to wrap each component. `api` is the package's public API as read
+ * by readPackageApi(), or null when it could not be read. `groupers` are the
+ * groupings to roll usage up by, as set up by loadGroupers().
+ */
+function buildPackageModel(packageName, usage, api, groupers) {
+  const { componentUsage, componentSources, componentInstances } = usage;
+  const componentWrappers = usage.componentWrappers || {};
+  const names = new Set([
+    ...Object.keys(componentUsage).filter((name) => !name.startsWith("*")),
+    ...Object.keys(componentInstances),
+  ]);
+
+  const components = Array.from(names)
+    .sort()
+    .map((name) => {
+      const occurrences = componentInstances[name] || [];
+      return {
+        name,
+        kind: exportKind(name, api),
+        importedIn: Array.from(componentUsage[name] || []).sort(),
+        importSpecifiers: Array.from(componentSources[name] || []).sort(),
+        ...countKinds(occurrences),
+        files: buildFiles(occurrences),
+        props: summarizeProps(occurrences),
+        wrappers: (componentWrappers[name] || []).sort((a, b) =>
+          a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1
+        ),
+      };
+    });
+
+  const namespaceImports = Object.keys(componentUsage)
+    .filter((name) => name.startsWith("*"))
+    .sort()
+    .map((name) => ({
+      alias: name.substring(1),
+      importedIn: Array.from(componentUsage[name]).sort(),
+      importSpecifiers: Array.from(componentSources[name]).sort(),
+    }));
+
+  const jsxInstances = sum(components, "jsxCount");
+  const callInstances = sum(components, "callCount");
+  const valueInstances = sum(components, "valueCount");
+  const dynamicInstances = sum(components, "dynamicCount");
+
+  const consumed = new Set(
+    components
+      .filter(
+        (component) => component.importedIn.length || component.totalCount
+      )
+      .map((component) => component.name)
+  );
+
+  return {
+    name: packageName,
+    summary: {
+      importedComponents: Object.keys(componentUsage).length,
+      jsxInstances,
+      callInstances,
+      valueInstances,
+      dynamicInstances,
+      totalInstances:
+        jsxInstances + callInstances + valueInstances + dynamicInstances,
+      kinds: summarizeKinds(components),
+    },
+    components,
+    namespaceImports,
+    rollups: groupers.map((grouper) => rollUp(components, grouper)),
+    api: api && {
+      packageDir: api.packageDir,
+      entryPoints: api.entryPoints,
+      exports: api.exports,
+      kinds: api.kinds,
+      unusedExports: api.exports.filter((name) => !consumed.has(name)),
+    },
+  };
+}
+
+/**
+ * Build the complete, serializable report data that every output format is
+ * rendered from
+ */
+function buildModel({
+  generator,
+  root,
+  counting,
+  packageUsage,
+  packageApis = {},
+  groupers = [],
+}) {
+  const packages = Object.keys(packageUsage).map((packageName) =>
+    buildPackageModel(
+      packageName,
+      packageUsage[packageName],
+      packageApis[packageName] || null,
+      groupers
+    )
+  );
+  const summaries = packages.map((pkg) => pkg.summary);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generator,
+    generatedAt: new Date().toISOString(),
+    root,
+    counting,
+    summary: {
+      packages: packages.length,
+      importedComponents: sum(summaries, "importedComponents"),
+      jsxInstances: sum(summaries, "jsxInstances"),
+      callInstances: sum(summaries, "callInstances"),
+      valueInstances: sum(summaries, "valueInstances"),
+      dynamicInstances: sum(summaries, "dynamicInstances"),
+      totalInstances: sum(summaries, "totalInstances"),
+      kinds: totalKinds(summaries.map((summary) => summary.kinds)),
+    },
+    packages,
+  };
+}
+
+/**
+ * List everything imported from a package, namespace imports included as
+ * `*Alias`, sorted by name
+ */
+function importedComponents(pkg) {
+  const namespaces = pkg.namespaceImports.map(({ alias, ...rest }) => ({
+    name: `*${alias}`,
+    ...rest,
+  }));
+  const components = pkg.components.filter(
+    (component) => component.importedIn.length > 0
+  );
+
+  return [...namespaces, ...components].sort((a, b) =>
+    a.name < b.name ? -1 : 1
+  );
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  buildModel,
+  importedComponents,
+};
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const access = promisify(fs.access);
+
+/**
+ * Path relative to `fromDir` with forward slashes, as patterns expect
+ */
+function relativePath(fromDir, filePath) {
+  return path
+    .relative(path.resolve(fromDir), path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+}
+
+/**
+ * Whether `filePath` is `dir` or inside it
+ */
+function isWithin(dir, filePath) {
+  const relative = path.relative(path.resolve(dir), path.resolve(filePath));
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Nearest directory from `dir` upwards that `isRoot(dir)` accepts, or null
+ */
+async function findUp(dir, isRoot) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (await isRoot(current)) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Root of the git repository containing `dir`, or null outside of one
+ */
+function findRepositoryRoot(dir) {
+  return findUp(dir, (candidate) => exists(path.join(candidate, ".git")));
+}
+
+module.exports = {
+  exists,
+  findRepositoryRoot,
+  findUp,
+  isWithin,
+  relativePath,
+};
@@ -0,0 +1,36 @@
+// Minimum time between progress redraws
+const redrawInterval = 100;
+
+/**
+ * Single-line "Scanned N files" indicator on stderr. Does nothing when
+ * disabled, so callers can tick unconditionally.
+ */
+function createProgress(enabled) {
+  let count = 0;
+  let lastDraw = 0;
+
+  function draw() {
+    process.stderr.write(`\rScanned ${count} file(s)...`);
+    lastDraw = Date.now();
+  }
+
+  return {
+    tick() {
+      count++;
+      if (enabled && Date.now() - lastDraw >= redrawInterval) {
+        draw();
+      }
+    },
+
+    done() {
+      if (enabled) {
+        draw();
+        process.stderr.write("\n");
+      }
+    },
+  };
+}
+
+module.exports = {
+  createProgress,
+};
@@ -0,0 +1,390 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { ConfigError } = require("./config");
+const { exists } = require("./paths");
+
+// Files looked up for module path aliases, nearest first
+const projectConfigNames = ["tsconfig.json", "jsconfig.json"];
+
+/**
+ * Parse JSON that may contain comments and trailing commas, as tsconfig
+ * files do
+ */
+function parseJSONC(content) {
+  let json = "";
+  let i = 0;
+
+  while (i < content.length) {
+    if (content[i] === '"') {
+      let end = i + 1;
+      while (end < content.length && content[end] !== '"') {
+        end += content[end] === "\\" ? 2 : 1;
+      }
+      json += content.slice(i, end + 1);
+      i = end + 1;
+    } else if (content.startsWith("//", i)) {
+      const end = content.indexOf("\n", i);
+      i = end === -1 ? content.length : end;
+    } else if (content.startsWith("/*", i)) {
+      const end = content.indexOf("*/", i + 2);
+      i = end === -1 ? content.length : end + 2;
+    } else {
+      json += content[i];
+      i++;
+    }
+  }
+
+  return JSON.parse(json.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+/**
+ * Read the module resolution settings of a tsconfig/jsconfig file,
+ * following relative `extends`. Returns `{ baseUrl, paths }` with absolute
+ * directories, where `paths` lists `{ prefix, suffix, wildcard, targets }`
+ * patterns, longest prefix first.
+ */
+async function readProjectConfig(filePath, seen = new Set()) {
+  if (seen.has(filePath)) {
+    throw new ConfigError(`${filePath} extends itself`);
+  }
+  seen.add(filePath);
+
+  let json;
+  try {
+    json = parseJSONC(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Could not read ${filePath}: ${error.message}`);
+  }
+
+  const dir = path.dirname(filePath);
+  let inherited = { baseUrl: null, paths: [] };
+  const parents = [].concat(json.extends || []);
+  for (const parent of parents) {
+    // Configs extended from packages hold no project paths
+    if (parent.startsWith(".")) {
+      const parentPath = path.resolve(dir, parent);
+      inherited = await readProjectConfig(
+        parentPath.endsWith(".json") ? parentPath : `${parentPath}.json`,
+        seen
+      );
+    }
+  }
+
+  const options = json.compilerOptions || {};
+  const baseUrl = options.baseUrl
+    ? path.resolve(dir, options.baseUrl)
+    : inherited.baseUrl;
+  if (!options.paths) {
+    return { baseUrl, paths: inherited.paths };
+  }
+
+  // Path targets are relative to baseUrl, or to the config without one
+  const pathsDir = baseUrl || dir;
+  const paths = Object.entries(options.paths)
+    .map(([pattern, targets]) => {
+      const wildcard = pattern.includes("*");
+      const [prefix, suffix = ""] = pattern.split("*");
+      return {
+        prefix,
+        suffix,
+        wildcard,
+        targets: targets.map((target) => path.resolve(pathsDir, target)),
+      };
+    })
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return { baseUrl, paths };
+}
+
+/**
+ * Find and read the tsconfig.json or jsconfig.json nearest to a directory.
+ * Lookups are cached per directory in `cache`.
+ */
+function findProjectConfig(dir, cache) {
+  if (!cache[dir]) {
+    cache[dir] = (async () => {
+      for (const name of projectConfigNames) {
+        const filePath = path.join(dir, name);
+        if (await exists(filePath)) {
+          return readProjectConfig(filePath);
+        }
+      }
+      const parent = path.dirname(dir);
+      return parent === dir ? null : findProjectConfig(parent, cache);
+    })();
+  }
+  return cache[dir];
+}
+
+/**
+ * Resolve an import specifier from one file to another scanned file, trying
+ * the extensions being scanned and index files, or return null
+ */
+function createModuleResolver(files, projectConfigs, extensions) {
+  function resolvePath(basePath) {
+    // "./Button.js" may refer to Button.tsx in TypeScript projects
+    const stem = basePath.replace(/\.[cm]?jsx?$/, "");
+    const candidates = [
+      basePath,
+      ...extensions.map((ext) => `${basePath}${ext}`),
+      ...extensions.map((ext) => `${stem}${ext}`),
+      ...extensions.map((ext) => path.join(basePath, `index${ext}`)),
+    ];
+    return candidates.find((candidate) => files[candidate]) || null;
+  }
+
+  return (fromFile, specifier) => {
+    if (specifier.startsWith(".")) {
+      return resolvePath(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    const projectConfig = projectConfigs[path.dirname(fromFile)];
+    if (!projectConfig) {
+      return null;
+    }
+    for (const { prefix, suffix, wildcard, targets } of projectConfig.paths) {
+      const matches = wildcard
+        ? specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) &&
+          specifier.endsWith(suffix)
+        : specifier === prefix;
+      if (!matches) {
+        continue;
+      }
+      const star = specifier.slice(
+        prefix.length,
+        specifier.length - suffix.length
+      );
+      for (const target of targets) {
+        const resolved = resolvePath(target.replace("*", star));
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+    return projectConfig.baseUrl
+      ? resolvePath(path.resolve(projectConfig.baseUrl, specifier))
+      : null;
+  };
+}
+
+/**
+ * Credit usages that reach a package through the project's own modules to
+ * the package export they end up at: imports from barrel files that
+ * re-export it (`export { Button } from "@acme/ui"`), relative or through
+ * tsconfig `paths`, and, with `wrappers`, components that only render
+ * another one (`const Primary = (p) => <Button {...p} />`).
+ *
+ * Takes the analyzeSource() results of every scanned file and adds the
+ * credited imports and usages to them. Usages through a wrapper note it as
+ * `via`, and each result gets the wrappers it declares as `wrapped`
+ * (`{ source, component, name, line }`).
+ *
+ * `targets` limits the results added to, which may be copies of some of
+ * `results`; `dependencies`, when given, is filled with the path of each
+ * target mapped to the set of files its links were read from.
+ */
+async function linkProject(
+  results,
+  options,
+  { targets = results, dependencies } = {}
+) {
+  const files = {};
+  for (const result of results) {
+    files[path.resolve(result.file)] = result;
+  }
+
+  // Each file resolves aliases through its nearest tsconfig, unless one
+  // was given explicitly
+  const projectConfigs = {};
+  const fixedConfig = options.tsconfig
+    ? await readProjectConfig(path.resolve(options.tsconfig))
+    : null;
+  const cache = {};
+  for (const dir of new Set(Object.keys(files).map(path.dirname))) {
+    projectConfigs[dir] = fixedConfig || (await findProjectConfig(dir, cache));
+  }
+
+  const resolveModule = createModuleResolver(
+    files,
+    projectConfigs,
+    options.extensions
+  );
+
+  // Whether a module of the project exports a name itself or through
+  // another module's `export *`
+  let consulted = new Set();
+
+  function declaresExport(filePath, name, seen) {
+    const result = files[filePath];
+    consulted.add(filePath);
+    if (!result || seen.has(filePath)) {
+      return false;
+    }
+    seen.add(filePath);
+
+    return result.exports.some(({ exported, source, specifier }) => {
+      if (exported !== "*") {
+        return exported === name;
+      }
+      const target = !source && resolveModule(filePath, specifier);
+      return Boolean(target) && declaresExport(target, name, seen);
+    });
+  }
+
+  // Both return `{ source, component, via }` or null; `seen` guards
+  // against import cycles
+  function resolveExport(filePath, name, seen) {
+    const key = `${filePath}#${name}`;
+    const result = files[filePath];
+    consulted.add(filePath);
+    if (!result || seen.has(key)) {
+      return null;
+    }
+    seen.add(key);
+
+    const entry = result.exports.find(({ exported }) => exported === name);
+    if (entry) {
+      if (entry.source) {
+        return { source: entry.source, component: entry.component };
+      }
+      if (entry.specifier) {
+        const target = resolveModule(filePath, entry.specifier);
+        return target && entry.imported !== "*"
+          ? resolveExport(target, entry.imported, seen)
+          : null;
+      }
+      return resolveBinding(filePath, entry.local, undefined, seen);
+    }
+
+    // `export *` never re-exports a default export
+    if (name === "default") {
+      return null;
+    }
+    const stars = result.exports.filter(({ exported }) => exported === "*");
+
+    // Modules of the project that declare the name take precedence over an
+    // `export *` from a package, which is assumed to export any name
+    for (const star of stars) {
+      const target = !star.source && resolveModule(filePath, star.specifier);
+      if (target && declaresExport(target, name, new Set())) {
+        return resolveExport(target, name, seen);
+      }
+    }
+    for (const star of stars) {
+      if (star.source) {
+        return { source: star.source, component: name };
+      }
+      const target = resolveModule(filePath, star.specifier);
+      const resolved = target && resolveExport(target, name, seen);
+      if (resolved) {
+        return resolved;
+      }
+    }
+    return null;
+  }
+
+  function resolveBinding(filePath, local, member, seen) {
+    const key = `${filePath}:${local}`;
+    const binding = files[filePath].bindings[local];
+    if (!binding || seen.has(key)) {
+      return null;
+    }
+    seen.add(key);
+
+    if (binding.source) {
+      return binding.namespace
+        ? member && { source: binding.source, component: member }
+        : { source: binding.source, component: binding.component };
+    }
+
+    if (binding.wrapper) {
+      const wrapper = files[filePath].wrappers.find((w) => w.name === local);
+      const wrapped =
+        options.wrappers &&
+        resolveBinding(filePath, wrapper.local, wrapper.member, seen);
+      return wrapped && { ...wrapped, via: local };
+    }
+
+    const target = resolveModule(filePath, binding.specifier);
+    if (!target) {
+      return null;
+    }
+    if (binding.imported === "*") {
+      return member ? resolveExport(target, member, seen) : null;
+    }
+    return resolveExport(target, binding.imported, seen);
+  }
+
+  for (const result of targets) {
+    const filePath = path.resolve(result.file);
+    consulted = new Set();
+    const resolved = {};
+    const resolve = (local, member) => {
+      const key = `${local}.${member}`;
+      if (!(key in resolved)) {
+        const found = resolveBinding(filePath, local, member, new Set());
+        // Default exports with no name of their own take the local one
+        resolved[key] = found && {
+          ...found,
+          component: found.component || local,
+        };
+      }
+      return resolved[key];
+    };
+
+    for (const [local, binding] of Object.entries(result.bindings)) {
+      if (!binding.specifier || binding.imported === "*") {
+        continue;
+      }
+      const found = resolve(local);
+      if (found && !found.via) {
+        result.imports.push({
+          source: found.source,
+          specifier: binding.specifier,
+          component: found.component,
+        });
+      }
+    }
+
+    for (const { local, member, ...occurrence } of result.references) {
+      const found = resolve(local, member);
+      if (found) {
+        // Members of namespace imports note the alias they were used through
+        const { via, ...target } = found;
+        result.usages.push(
+          via
+            ? { ...target, ...occurrence, via }
+            : member
+            ? { ...target, ...occurrence, namespace: local }
+            : { ...target, ...occurrence }
+        );
+      }
+    }
+
+    result.wrapped = [];
+    for (const { name, line } of options.wrappers ? result.wrappers : []) {
+      const found = resolve(name);
+      if (found) {
+        result.wrapped.push({
+          source: found.source,
+          component: found.component,
+          name,
+          line,
+        });
+      }
+    }
+
+    if (dependencies) {
+      dependencies.set(filePath, consulted);
+    }
+  }
+
+  return targets;
+}
+
+module.exports = {
+  linkProject,
+};
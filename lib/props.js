@@ -0,0 +1,119 @@
+// Name under which spread attributes ({...props}) are tracked
+const SPREAD = "...";
+
+// Most common literal values kept per prop
+const maxValues = 10;
+
+/**
+ * Literal value of an attribute expression, or undefined when the value is
+ * only known at runtime
+ */
+function literalValue(expression) {
+  switch (expression.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return expression.value;
+    case "NullLiteral":
+      return null;
+    case "TemplateLiteral":
+      return expression.expressions.length === 0
+        ? expression.quasis[0].value.cooked
+        : undefined;
+    case "UnaryExpression":
+      // Negative numbers: {-1}
+      return expression.operator === "-" &&
+        expression.argument.type === "NumericLiteral"
+        ? -expression.argument.value
+        : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function attributeName(name) {
+  return name.type === "JSXNamespacedName"
+    ? `${name.namespace.name}:${name.name.name}`
+    : name.name;
+}
+
+/**
+ * Describe the props passed on a JSX opening element as
+ * `{ name, kind, value }` entries. `kind` is "string" (`a="x"`), "boolean"
+ * (bare `a`), "expression" (`a={x}`), "element" (`a=<X />`) or "spread"
+ * (`{...x}`, named "..."); `value` holds the literal value, when there is one.
+ */
+function collectProps(openingElement) {
+  return openingElement.attributes.map((attribute) => {
+    if (attribute.type === "JSXSpreadAttribute") {
+      return { name: SPREAD, kind: "spread", value: undefined };
+    }
+
+    const name = attributeName(attribute.name);
+    const { value } = attribute;
+    if (value === null) {
+      return { name, kind: "boolean", value: true };
+    }
+    if (value.type === "StringLiteral") {
+      return { name, kind: "string", value: value.value };
+    }
+    if (value.type === "JSXExpressionContainer") {
+      return {
+        name,
+        kind: "expression",
+        value:
+          value.expression.type === "JSXEmptyExpression"
+            ? undefined
+            : literalValue(value.expression),
+      };
+    }
+    return { name, kind: "element", value: undefined };
+  });
+}
+
+/**
+ * Aggregate the props of a component's JSX occurrences into per-prop
+ * statistics, most used props first
+ */
+function summarizeProps(occurrences) {
+  const byName = {};
+
+  for (const { file, props } of occurrences) {
+    for (const { name, kind, value } of props || []) {
+      if (!byName[name]) {
+        byName[name] = { name, count: 0, kinds: {}, values: {}, files: {} };
+      }
+      const prop = byName[name];
+      prop.count++;
+      prop.kinds[kind] = (prop.kinds[kind] || 0) + 1;
+      prop.files[file] = true;
+
+      if (value !== undefined) {
+        // Keyed by JSON so "1" and 1 stay apart
+        const key = JSON.stringify(value);
+        if (!prop.values[key]) {
+          prop.values[key] = { value, count: 0 };
+        }
+        prop.values[key].count++;
+      }
+    }
+  }
+
+  return Object.values(byName)
+    .sort((a, b) => b.count - a.count || (a.name < b.name ? -1 : 1))
+    .map((prop) => ({
+      name: prop.name,
+      count: prop.count,
+      kinds: prop.kinds,
+      values: Object.values(prop.values)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, maxValues),
+      files: Object.keys(prop.files).sort(),
+    }));
+}
+
+module.exports = {
+  SPREAD,
+  collectProps,
+  summarizeProps,
+};
@@ -0,0 +1,75 @@
+const path = require("path");
+const { renderHtml } = require("./html");
+const { renderMarkdown } = require("./markdown");
+const { renderCsv } = require("./csv");
+const { renderText } = require("./text");
+
+// Report formats by name: { extension, render(model) }, where render returns
+// the report as a string or a promise of one
+const reporters = {};
+
+/**
+ * Register a report format. `extension` names the default output file
+ * (component-usage-report.<extension>) and `render` turns the report data
+ * described in report.schema.json into the report contents, synchronously
+ * or as a promise. Registering an existing name replaces that format.
+ */
+function registerReporter(name, reporter) {
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new TypeError("A reporter needs a non-empty name");
+  }
+  if (!reporter || typeof reporter.render !== "function") {
+    throw new TypeError(
+      `Reporter "${name}" must have a render(model) function`
+    );
+  }
+  if (typeof reporter.extension !== "string" || reporter.extension === "") {
+    throw new TypeError(`Reporter "${name}" must have a file extension`);
+  }
+  reporters[name] = {
+    extension: reporter.extension.replace(/^\./, ""),
+    render: reporter.render,
+  };
+}
+
+/**
+ * The reporter registered under a name, or null
+ */
+function getReporter(name) {
+  return Object.prototype.hasOwnProperty.call(reporters, name)
+    ? reporters[name]
+    : null;
+}
+
+function reporterNames() {
+  return Object.keys(reporters);
+}
+
+/**
+ * Register the reporter a module exports as `{ name, extension, render }`.
+ * The name defaults to the module's file name. Returns the name.
+ */
+function loadReporter(modulePath) {
+  const reporter = require(path.resolve(modulePath));
+  const name =
+    (reporter && reporter.name) ||
+    path.basename(modulePath, path.extname(modulePath));
+  registerReporter(name, reporter);
+  return name;
+}
+
+registerReporter("text", { extension: "txt", render: renderText });
+registerReporter("json", {
+  extension: "json",
+  render: (model) => `${JSON.stringify(model, null, 2)}\n`,
+});
+registerReporter("html", { extension: "html", render: renderHtml });
+registerReporter("markdown", { extension: "md", render: renderMarkdown });
+registerReporter("csv", { extension: "csv", render: renderCsv });
+
+module.exports = {
+  registerReporter,
+  getReporter,
+  reporterNames,
+  loadReporter,
+};
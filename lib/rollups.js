@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const ignore = require("ignore");
+const picomatch = require("picomatch");
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const { ConfigError } = require("./config");
+const {
+  exists,
+  findRepositoryRoot,
+  findUp,
+  isWithin,
+  relativePath,
+} = require("./paths");
+
+// Where GitHub and GitLab look for CODEOWNERS, relative to the repository
+const codeownersLocations = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS",
+];
+
+// Group of files that belong to no workspace or have no owner
+const noWorkspace = "(no workspace)";
+const noOwner = "(no owner)";
+
+async function readPackageJson(dir) {
+  try {
+    return JSON.parse(await readFile(path.join(dir, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Group files by their first `depth` directories below the scanned
+ * directory, as the report shows them: `apps/web` for
+ * `apps/web/src/App.tsx` at depth 2
+ */
+function directoryGrouper(dir, depth) {
+  return {
+    by: "directory",
+    details: { depth },
+    groupsOf(file) {
+      const directories = relativePath(dir, file).split("/").slice(0, -1);
+      return [
+        path
+          .join(dir, ...directories.slice(0, depth))
+          .split(path.sep)
+          .join("/"),
+      ];
+    },
+  };
+}
+
+/**
+ * Workspace patterns of a package.json: `"workspaces": [...]` as npm and
+ * Yarn write them, or `"workspaces": { "packages": [...] }`
+ */
+function workspacePatterns(packageJson) {
+  const { workspaces } = packageJson || {};
+  if (Array.isArray(workspaces)) {
+    return workspaces;
+  }
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages;
+  }
+  return [];
+}
+
+/**
+ * Directories below `root` that match the workspace patterns and have a
+ * package.json, as `{ dir, name }`
+ */
+async function findWorkspaces(root, patterns) {
+  const isWorkspace = picomatch(
+    patterns.map((pattern) => pattern.replace(/^\.\//, "").replace(/\/$/, ""))
+  );
+  // Without "**", workspaces are no deeper than the longest pattern
+  const maxDepth = patterns.some((pattern) => pattern.includes("**"))
+    ? Infinity
+    : Math.max(...patterns.map((pattern) => pattern.split("/").length));
+  const workspaces = [];
+
+  async function visit(dir, depth) {
+    const relative = relativePath(root, dir);
+    if (depth > 0 && isWorkspace(relative)) {
+      const packageJson = await readPackageJson(dir);
+      if (packageJson) {
+        workspaces.push({ dir, name: packageJson.name || relative });
+      }
+    }
+    if (depth >= maxDepth) {
+      return;
+    }
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (
+        entry.isDirectory() &&
+        entry.name !== "node_modules" &&
+        !entry.name.startsWith(".")
+      ) {
+        await visit(path.join(dir, entry.name), depth + 1);
+      }
+    }
+  }
+
+  await visit(root, 0);
+  return workspaces;
+}
+
+/**
+ * Group files by the workspace package containing them, taken from the
+ * "workspaces" of the nearest package.json above the scanned directory
+ * that has them
+ */
+async function workspaceGrouper(dir) {
+  const root = await findUp(
+    dir,
+    async (candidate) =>
+      workspacePatterns(await readPackageJson(candidate)).length > 0
+  );
+  const workspaces = root
+    ? await findWorkspaces(root, workspacePatterns(await readPackageJson(root)))
+    : [];
+  // Innermost first, for workspaces nested in others
+  workspaces.sort((a, b) => b.dir.length - a.dir.length);
+
+  return {
+    by: "workspace",
+    details: {},
+    groupsOf(file) {
+      const filePath = path.resolve(file);
+      const workspace = workspaces.find((candidate) =>
+        isWithin(candidate.dir, filePath)
+      );
+      return [workspace ? workspace.name : noWorkspace];
+    },
+  };
+}
+
+/**
+ * Rules of a CODEOWNERS file as `{ matches, owners }`, in file order. A rule
+ * without owners unassigns the paths it matches.
+ */
+function parseCodeowners(content) {
+  const rules = [];
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("[")) {
+      continue;
+    }
+    const [pattern, ...rest] = trimmed.split(/\s+/);
+    const owners = [];
+    for (const owner of rest) {
+      if (owner.startsWith("#")) {
+        break;
+      }
+      owners.push(owner);
+    }
+    const rule = ignore().add(pattern);
+    rules.push({ matches: (relative) => rule.ignores(relative), owners });
+  }
+  return rules;
+}
+
+/**
+ * Find the CODEOWNERS file for a directory: the one given, or one in the
+ * usual places of the enclosing git repository (or the directory itself
+ * outside a repository). Returns `{ file, root }` where root is the
+ * directory its patterns are relative to, or null.
+ */
+async function findCodeowners(dir, codeownersPath) {
+  if (codeownersPath) {
+    const file = path.resolve(codeownersPath);
+    const parent = path.dirname(file);
+    const root =
+      (await findRepositoryRoot(parent)) ||
+      ([".github", "docs"].includes(path.basename(parent))
+        ? path.dirname(parent)
+        : parent);
+    return { file, root };
+  }
+
+  const root = (await findRepositoryRoot(dir)) || path.resolve(dir);
+  for (const location of codeownersLocations) {
+    const file = path.join(root, location);
+    if (await exists(file)) {
+      return { file, root };
+    }
+  }
+  return null;
+}
+
+/**
+ * Group files by their owners in CODEOWNERS, where the last matching rule
+ * wins. A file with several owners counts towards each of them.
+ */
+async function ownerGrouper(dir, codeownersPath) {
+  const found = await findCodeowners(dir, codeownersPath);
+  if (!found) {
+    throw new ConfigError(
+      `No CODEOWNERS file found for ${dir}. Pass --codeowners <file> or set "codeowners" in the config file`
+    );
+  }
+
+  let content;
+  try {
+    content = await readFile(found.file, "utf8");
+  } catch (error) {
+    throw new ConfigError(`Could not read ${found.file}: ${error.message}`);
+  }
+  const rules = parseCodeowners(content);
+
+  return {
+    by: "owner",
+    details: { codeowners: relativePath(process.cwd(), found.file) },
+    groupsOf(file) {
+      const relative = relativePath(found.root, file);
+      if (relative.startsWith("../")) {
+        return [noOwner];
+      }
+      const rule = [...rules]
+        .reverse()
+        .find(({ matches }) => matches(relative));
+      return rule && rule.owners.length > 0 ? rule.owners : [noOwner];
+    },
+  };
+}
+
+/**
+ * Set up the groupings named in `groupBy` for files scanned from `dir`.
+ * Each has a `by` name, `details` to report (such as the depth) and a
+ * `groupsOf(file)` function returning the names of the groups a file
+ * belongs to.
+ */
+async function loadGroupers(dir, { groupBy, depth, codeowners }) {
+  const groupers = [];
+  for (const by of groupBy) {
+    if (by === "directory") {
+      groupers.push(directoryGrouper(dir, depth));
+    } else if (by === "workspace") {
+      groupers.push(await workspaceGrouper(dir));
+    } else if (by === "owner") {
+      groupers.push(await ownerGrouper(dir, codeowners));
+    }
+  }
+  return groupers;
+}
+
+function emptyCounts() {
+  return {
+    jsxCount: 0,
+    callCount: 0,
+    valueCount: 0,
+    dynamicCount: 0,
+    totalCount: 0,
+  };
+}
+
+function addCounts(target, counts) {
+  target.jsxCount += counts.jsxCount;
+  target.callCount += counts.callCount;
+  target.valueCount += counts.valueCount;
+  target.dynamicCount += counts.dynamicCount;
+  target.totalCount += counts.totalCount;
+}
+
+function byUsage(a, b) {
+  return b.totalCount - a.totalCount || (a.name < b.name ? -1 : 1);
+}
+
+/**
+ * Roll a package's components up into the groups of one grouping. Each
+ * group lists the files in it that import or use the package, its counts
+ * and the components it uses, most used first.
+ */
+function rollUp(components, grouper) {
+  const groups = {};
+
+  function groupsOf(file) {
+    return grouper.groupsOf(file).map((name) => {
+      if (!groups[name]) {
+        groups[name] = {
+          name,
+          fileCount: new Set(),
+          ...emptyCounts(),
+          components: {},
+        };
+      }
+      return groups[name];
+    });
+  }
+
+  for (const component of components) {
+    const counts = {};
+    for (const file of component.importedIn) {
+      counts[file] = emptyCounts();
+    }
+    for (const file of component.files) {
+      counts[file.file] = file;
+    }
+
+    for (const [file, fileCounts] of Object.entries(counts)) {
+      for (const group of groupsOf(file)) {
+        group.fileCount.add(file);
+        addCounts(group, fileCounts);
+        if (!group.components[component.name]) {
+          group.components[component.name] = {
+            name: component.name,
+            fileCount: 0,
+            ...emptyCounts(),
+          };
+        }
+        group.components[component.name].fileCount++;
+        addCounts(group.components[component.name], fileCounts);
+      }
+    }
+  }
+
+  return {
+    by: grouper.by,
+    ...grouper.details,
+    groups: Object.values(groups)
+      .map((group) => ({
+        ...group,
+        fileCount: group.fileCount.size,
+        components: Object.values(group.components).sort(byUsage),
+      }))
+      .sort(byUsage),
+  };
+}
+
+module.exports = {
+  loadGroupers,
+  rollUp,
+};
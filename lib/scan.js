@@ -0,0 +1,367 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const readFile = promisify(fs.readFile);
+const { analyzeFile, analyzeSource } = require("./analyze");
+const { walkFiles, walkPaths } = require("./walk");
+const { isWithin } = require("./paths");
+const { mapConcurrent } = require("./concurrency");
+const { createWorkerPool } = require("./workers");
+const { createProgress } = require("./progress");
+const { linkProject } = require("./project");
+const { readPackageApi } = require("./api");
+const { buildModel } = require("./model");
+const { loadGroupers } = require("./rollups");
+const { resolveConfig } = require("./config");
+const { cacheDirectory, contentHash, openCache } = require("./cache");
+
+/**
+ * Empty usage record of one package: `componentUsage` maps each tracked
+ * name to the files importing it, `componentSources` to the module
+ * specifiers it was imported through, `componentWrappers` to the local
+ * components wrapping it and `componentInstances` to its
+ * `{ file, kind, line, column, snippet }` occurrences, JSX ones with the
+ * props passed
+ */
+function createPackageUsage() {
+  return {
+    componentUsage: {},
+    componentSources: {},
+    componentWrappers: {},
+    componentInstances: {},
+  };
+}
+
+function addInstance(componentInstances, component, occurrence) {
+  if (!componentInstances[component]) {
+    componentInstances[component] = [];
+  }
+  componentInstances[component].push(occurrence);
+}
+
+/**
+ * Whether an occurrence is counted in a counting mode
+ */
+function countsInMode(kind, mode) {
+  return (
+    (mode !== "jsx-only" || kind === "jsx") &&
+    (mode !== "call-only" || kind === "call")
+  );
+}
+
+/**
+ * Add one file's imports and usages to the per-package totals
+ */
+function mergeFileResult(packageUsage, config, result) {
+  const { file, imports, usages, wrapped } = result;
+
+  for (const { source, specifier, component } of imports) {
+    const { componentUsage, componentSources } = packageUsage[source];
+    if (!componentUsage[component]) {
+      componentUsage[component] = new Set();
+      componentSources[component] = new Set();
+    }
+    componentUsage[component].add(file);
+    componentSources[component].add(specifier);
+  }
+
+  const usedAsJSX = new Set(
+    usages
+      .filter((usage) => usage.kind === "jsx")
+      .map((usage) => `${usage.source} ${usage.component}`)
+  );
+
+  for (const { source, component, ...occurrence } of usages) {
+    if (
+      !countsInMode(occurrence.kind, config.mode) ||
+      (config.skipCallsWithJSX &&
+        occurrence.kind === "call" &&
+        usedAsJSX.has(`${source} ${component}`))
+    ) {
+      continue;
+    }
+    addInstance(packageUsage[source].componentInstances, component, {
+      file,
+      ...occurrence,
+    });
+  }
+
+  for (const { source, component, name, line } of wrapped) {
+    addInstance(packageUsage[source].componentWrappers, component, {
+      name,
+      file,
+      line,
+    });
+  }
+}
+
+/**
+ * Order `[filePath, analysis]` entries the way walkFiles() yields them:
+ * by name within each directory, subdirectories among the files
+ */
+function inWalkOrder([a], [b]) {
+  const aParts = a.split(path.sep);
+  const bParts = b.split(path.sep);
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    if (aParts[i] !== bParts[i]) {
+      return aParts[i] < bParts[i] ? -1 : 1;
+    }
+  }
+  return aParts.length - bParts.length;
+}
+
+function logFileError(filePath, error) {
+  console.error(`Error processing file ${filePath}:`, error);
+}
+
+/**
+ * Set up a scanner of `dir` that keeps each file's analysis in memory, so
+ * that scanning again only re-reads the files that changed. Takes the same
+ * options as `scan()`. `update(changedPaths)` walks the files and
+ * directories in `changedPaths` (the whole directory on the first call, when
+ * it is omitted or when a .gitignore changed), analyzes the files that are
+ * new or listed, forgets deleted ones, links again the files whose imports
+ * may resolve differently and resolves to `{ model, changedFiles }`: the
+ * report data, matching a fresh scan, and the files analyzed or removed.
+ * Call `close()` when done.
+ *
+ * With `cache`, analyses are also kept on disk, in `cacheLocation` or
+ * node_modules/.cache/component-usage, and files whose content has not
+ * changed since the last run are not parsed again.
+ */
+async function createScanner(options = {}) {
+  const {
+    dir = process.cwd(),
+    generator = "scan",
+    onFileError = logFileError,
+    ...configOptions
+  } = options;
+  const config = resolveConfig(configOptions, "scan() options", {});
+  const analyzeOptions = {
+    packages: config.packages,
+    mapSubpaths: config.mapSubpaths,
+    subpathExports: config.subpathExports,
+  };
+
+  // Set up groupings first, so a missing CODEOWNERS fails before the scan
+  const groupers = await loadGroupers(dir, config);
+
+  // Read what each package exports, to find exports nobody uses
+  const packageApis = {};
+  for (const packageName of config.packages) {
+    packageApis[packageName] = await readPackageApi(
+      packageName,
+      dir,
+      config.packagePaths
+    );
+  }
+
+  const pool =
+    config.workers > 0
+      ? createWorkerPool(config.workers, analyzeOptions)
+      : null;
+
+  // Unlinked analysis of each file in walk order, null when it failed
+  let analyses = new Map();
+  // Linked copy of each analysis, and the files each was linked through
+  let linked = new Map();
+  const dependencies = new Map();
+  let walked = false;
+
+  const cache = config.cache
+    ? await openCache(
+        cacheDirectory(dir, config.cacheLocation),
+        dir,
+        analyzeOptions
+      )
+    : null;
+
+  async function analyze(filePath) {
+    try {
+      if (!cache) {
+        return pool
+          ? await pool.analyze(filePath)
+          : await analyzeFile(filePath, analyzeOptions);
+      }
+
+      const content = await readFile(filePath, "utf8");
+      const hash = contentHash(content);
+      const cached = cache.get(filePath, hash);
+      if (cached) {
+        return cached;
+      }
+      const result = pool
+        ? await pool.analyze(filePath)
+        : analyzeSource(content, filePath, analyzeOptions);
+      cache.set(filePath, hash, result);
+      return result;
+    } catch (error) {
+      onFileError(filePath, error);
+      return null;
+    }
+  }
+
+  return {
+    async update(changedPaths) {
+      const changed = changedPaths
+        ? changedPaths.map((filePath) => path.resolve(filePath))
+        : null;
+      const changedSet = new Set(changed);
+      const previous = analyses;
+      const changedFiles = [];
+      const progress = createProgress(Boolean(config.progress));
+
+      // Changed ignore rules can add or drop files anywhere in the tree
+      const rewalk =
+        !walked ||
+        !changed ||
+        changed.some((filePath) => path.basename(filePath) === ".gitignore");
+
+      let entries;
+      try {
+        entries = await mapConcurrent(
+          rewalk
+            ? walkFiles(dir, config, onFileError)
+            : walkPaths(dir, changed, config, onFileError),
+          config.concurrency,
+          async (filePath) => {
+            if (
+              previous.has(filePath) &&
+              changed &&
+              !changedSet.has(path.resolve(filePath))
+            ) {
+              return [filePath, previous.get(filePath)];
+            }
+            changedFiles.push(filePath);
+            const analysis = await analyze(filePath);
+            progress.tick();
+            return [filePath, analysis];
+          }
+        );
+      } finally {
+        progress.done();
+      }
+      walked = true;
+
+      if (!rewalk) {
+        // Files at or below the changed paths were walked again; the others
+        // are kept
+        const kept = Array.from(previous).filter(
+          ([filePath]) => !changed.some((p) => isWithin(p, filePath))
+        );
+        entries = kept.concat(entries).sort(inWalkOrder);
+      }
+      analyses = new Map(entries);
+      for (const filePath of previous.keys()) {
+        if (!analyses.has(filePath)) {
+          changedFiles.push(filePath);
+        }
+      }
+
+      // Saving when nothing changed would only rewrite the same file, which
+      // inside a watched directory triggers another update
+      if (cache && changedFiles.length > 0) {
+        await cache.save(Array.from(analyses.keys()));
+      }
+
+      // Files appearing or going away change what imports resolve to, and
+      // project configs how they resolve, so everything is linked again.
+      // Otherwise only the changed files and those linked through them are.
+      const relinkAll =
+        rewalk ||
+        changedFiles.some(
+          (filePath) => !previous.get(filePath) !== !analyses.get(filePath)
+        ) ||
+        changed.some((filePath) => path.extname(filePath) === ".json");
+      const changedResolved = new Set(
+        changedFiles.map((filePath) => path.resolve(filePath))
+      );
+      if (relinkAll) {
+        linked = new Map();
+        dependencies.clear();
+      }
+      const relink = Array.from(analyses).filter(([filePath, analysis]) => {
+        if (!analysis) {
+          return false;
+        }
+        const resolved = path.resolve(filePath);
+        return (
+          relinkAll ||
+          changedResolved.has(resolved) ||
+          Array.from(dependencies.get(resolved) || []).some((dependency) =>
+            changedResolved.has(dependency)
+          )
+        );
+      });
+
+      // Linking adds to the results, so link copies to keep them reusable
+      const targets = relink.map(([, analysis]) => structuredClone(analysis));
+      await linkProject(Array.from(analyses.values()).filter(Boolean), config, {
+        targets,
+        dependencies,
+      });
+      relink.forEach(([filePath], index) =>
+        linked.set(filePath, targets[index])
+      );
+      const results = Array.from(analyses.keys(), (filePath) =>
+        linked.get(filePath)
+      ).filter(Boolean);
+
+      const packageUsage = {};
+      for (const packageName of config.packages) {
+        packageUsage[packageName] = createPackageUsage();
+      }
+      results.forEach((result) =>
+        mergeFileResult(packageUsage, config, result)
+      );
+
+      return {
+        model: buildModel({
+          generator,
+          root: dir,
+          counting: {
+            mode: config.mode,
+            skipCallsWithJSX: config.skipCallsWithJSX,
+          },
+          packageApis,
+          packageUsage,
+          groupers,
+        }),
+        changedFiles,
+      };
+    },
+
+    async close() {
+      if (pool) {
+        await pool.close();
+      }
+    },
+  };
+}
+
+/**
+ * Scan `dir` (default: the current directory) for usages of the components
+ * of `packages` and return the report data described in report.schema.json.
+ * Takes the options of the configuration file, validated the same way, plus:
+ * - `generator`: recorded as the report's generator
+ * - `onFileError(filePath, error)`: called for files that could not be
+ *   read or parsed, and directories below `dir` that could not be read,
+ *   which are then skipped; by default they are logged
+ * Rejects when `dir` itself cannot be read.
+ * Configuration files are not read and nothing is written; `format`, `out`,
+ * `compare`, `saveBaseline` and `rules` only matter to the command line.
+ */
+async function scan(options = {}) {
+  const scanner = await createScanner(options);
+  try {
+    const { model } = await scanner.update();
+    return model;
+  } finally {
+    await scanner.close();
+  }
+}
+
+module.exports = {
+  createScanner,
+  scan,
+};
@@ -0,0 +1,410 @@
+const path = require("path");
+const { SPREAD } = require("./props");
+
+// Vue directives that control rendering rather than pass props
+const vueDirectives =
+  /^(v-(if|else-if|else|for|show|slot|once|memo|pre|cloak)$|#)/;
+
+/**
+ * Replace everything but line breaks with spaces, so that whatever follows
+ * keeps its line and column
+ */
+function blank(text) {
+  return text.replace(/[^\r\n]/g, " ");
+}
+
+/**
+ * Copy of `content` with everything outside the sorted `[start, end]`
+ * offset ranges blanked out
+ */
+function keepRanges(content, ranges) {
+  let kept = "";
+  let offset = 0;
+  for (const [start, end] of ranges) {
+    kept += blank(content.slice(offset, start)) + content.slice(start, end);
+    offset = end;
+  }
+  return kept + blank(content.slice(offset));
+}
+
+/**
+ * Copy of `content` with the ranges matched by `pattern` blanked out
+ */
+function blankMatches(content, pattern) {
+  return content.replace(pattern, blank);
+}
+
+/**
+ * The `<script>` blocks of a file as `{ start, end, lang }`, where start and
+ * end are the offsets of the code inside the tags
+ */
+function scriptBlocks(content) {
+  const blocks = [];
+  const pattern = /(<script\b([^>]*)>)([\s\S]*?)<\/script\s*>/gi;
+  let match;
+  while ((match = pattern.exec(content))) {
+    const start = match.index + match[1].length;
+    const lang = /\blang\s*=\s*["']?(\w+)/.exec(match[2]);
+    blocks.push({
+      start,
+      end: start + match[3].length,
+      lang: lang ? lang[1] : null,
+    });
+  }
+  return blocks;
+}
+
+// Blocks and comments whose content is not markup to look for tags in
+const nonMarkup = /<!--[\s\S]*?-->|<(script|style)\b[\s\S]*?<\/\1\s*>/gi;
+
+/**
+ * Script and markup of a Vue component: every `<script>` block, and the
+ * top-level `<template>`
+ */
+function vueParts(content) {
+  const scripts = scriptBlocks(content);
+  const open = /<template\b[^>]*>/.exec(content);
+  const close = content.lastIndexOf("</template>");
+  const markup =
+    open && close > open.index
+      ? keepRanges(content, [[open.index + open[0].length, close]])
+      : blank(content);
+  return { scripts, markup: blankMatches(markup, nonMarkup) };
+}
+
+/**
+ * Script and markup of a Svelte component: the `<script>` blocks, and the
+ * rest of the file but for styles
+ */
+function svelteParts(content) {
+  return {
+    scripts: scriptBlocks(content),
+    markup: blankMatches(content, nonMarkup),
+  };
+}
+
+/**
+ * Script and markup of an Astro component: the TypeScript frontmatter
+ * between `---` fences, and the template after it. Client-side `<script>`
+ * tags in the template run in the browser and are left out.
+ */
+function astroParts(content) {
+  const frontmatter = /^(\s*---\r?\n)([\s\S]*?)\r?\n---/.exec(content);
+  if (!frontmatter) {
+    return { scripts: [], markup: blankMatches(content, nonMarkup) };
+  }
+  const start = frontmatter[1].length;
+  const end = frontmatter[0].length;
+  return {
+    scripts: [{ start, end: start + frontmatter[2].length, lang: "ts" }],
+    markup: blankMatches(
+      keepRanges(content, [[end, content.length]]),
+      nonMarkup
+    ),
+  };
+}
+
+/**
+ * Script and markup of an MDX document: the `import`/`export` blocks, which
+ * run until the next blank line, and the content, without code blocks and
+ * inline code that only show examples
+ */
+function mdxParts(content) {
+  const scripts = [];
+  const markupRanges = [];
+  let fence = null;
+  let inScript = false;
+  let offset = 0;
+
+  for (const line of content.split(/(?<=\n)/)) {
+    const start = offset;
+    offset += line.length;
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fence) {
+      if (
+        fenceMatch &&
+        fenceMatch[1][0] === fence[0] &&
+        fenceMatch[1].length >= fence.length
+      ) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      inScript = false;
+      continue;
+    }
+
+    inScript = line.trim()
+      ? inScript || /^(import|export)\b/.test(line)
+      : false;
+    if (inScript) {
+      scripts.push({ start, end: offset, lang: "jsx" });
+    } else {
+      markupRanges.push([start, offset]);
+    }
+  }
+
+  return {
+    scripts,
+    markup: blankMatches(
+      keepRanges(content, markupRanges),
+      /`[^`\r\n]*`|<!--[\s\S]*?-->/g
+    ),
+  };
+}
+
+// How each single-file component format splits into script and markup
+const formats = {
+  ".vue": vueParts,
+  ".svelte": svelteParts,
+  ".astro": astroParts,
+  ".mdx": mdxParts,
+};
+
+/**
+ * Index of the `}` closing the brace at `start`, skipping over strings and
+ * nested braces
+ */
+function closingBrace(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"' || char === "'" || char === "`") {
+      const end = text.indexOf(char, index + 1);
+      index = end === -1 ? text.length : end;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return index;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Literal value of an attribute expression written as text, or undefined
+ * when the value is only known at runtime
+ */
+function literalText(text) {
+  const trimmed = text.trim();
+  if (/^(true|false|null|-?\d+(\.\d+)?|"[^"\\]*")$/.test(trimmed)) {
+    return JSON.parse(trimmed);
+  }
+  const quoted = /^'([^'\\]*)'$|^`([^`\\$]*)`$/.exec(trimmed);
+  if (!quoted) {
+    return undefined;
+  }
+  return quoted[1] !== undefined ? quoted[1] : quoted[2];
+}
+
+/**
+ * Describe an attribute like collectProps() describes JSX attributes.
+ * `value` is the raw value text, with `braced` set for `{...}` values; Vue's
+ * `:prop="..."` and `v-bind:prop="..."` pass expressions too. Returns null
+ * for Vue directives that control rendering rather than pass a prop.
+ */
+function markupProp(name, value, braced) {
+  if (vueDirectives.test(name)) {
+    return null;
+  }
+  if (name === "v-bind") {
+    return { name: SPREAD, kind: "spread", value: undefined };
+  }
+  const bound = /^(:|v-bind:)/.exec(name);
+  if (value === null) {
+    return { name, kind: "boolean", value: true };
+  }
+  // Event handlers and other directives (@click="...", v-model="...") hold
+  // expressions as well
+  if (bound || braced || /^(@|v-)/.test(name)) {
+    return {
+      name: bound ? name.slice(bound[0].length) : name,
+      kind: "expression",
+      value: literalText(value),
+    };
+  }
+  return { name, kind: "string", value };
+}
+
+/**
+ * Read the attributes of a tag from `index`, just after its name, up to the
+ * closing `>`. Returns the props passed, the `{ name, start, end, nameStart,
+ * nameEnd }` offsets of the named ones and the index it stopped at.
+ */
+function readAttributes(text, index) {
+  const props = [];
+  const attributes = [];
+  const namePattern = /[^\s=>/{"']+/y;
+
+  while (index < text.length && text[index] !== ">") {
+    if (/\s|\//.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    // {...rest} spreads, or Svelte's {value} shorthand for value={value}
+    if (text[index] === "{") {
+      const end = closingBrace(text, index);
+      const inner = text.slice(index + 1, end).trim();
+      props.push(
+        inner.startsWith("...")
+          ? { name: SPREAD, kind: "spread", value: undefined }
+          : { name: inner, kind: "expression", value: undefined }
+      );
+      index = end + 1;
+      continue;
+    }
+
+    namePattern.lastIndex = index;
+    const nameMatch = namePattern.exec(text);
+    if (!nameMatch) {
+      index++;
+      continue;
+    }
+    const name = nameMatch[0];
+    const start = index;
+    index += name.length;
+
+    let value = null;
+    let braced = false;
+    const equals = /\s*=\s*/y;
+    equals.lastIndex = index;
+    if (equals.exec(text)) {
+      index = equals.lastIndex;
+      const quote = text[index];
+      if (quote === '"' || quote === "'") {
+        const end = text.indexOf(quote, index + 1);
+        value = text.slice(index + 1, end === -1 ? text.length : end);
+        index = end === -1 ? text.length : end + 1;
+      } else if (quote === "{") {
+        const end = closingBrace(text, index);
+        value = text.slice(index + 1, end);
+        braced = true;
+        index = end + 1;
+      } else {
+        const unquoted = /[^\s>]*/y;
+        unquoted.lastIndex = index;
+        value = unquoted.exec(text)[0];
+        index = unquoted.lastIndex;
+      }
+    }
+
+    const prop = markupProp(name, value, braced);
+    if (prop) {
+      props.push(prop);
+      if (prop.kind !== "spread") {
+        // Bound props (`:size`) are named without their prefix
+        attributes.push({
+          name: prop.name,
+          start,
+          end: index,
+          nameStart: start + name.length - prop.name.length,
+          nameEnd: start + name.length,
+        });
+      }
+    }
+  }
+
+  return { props, attributes, end: index };
+}
+
+/**
+ * PascalCase name of a kebab-case tag, as Vue resolves `<date-picker>` to
+ * the `DatePicker` component
+ */
+function pascalCase(name) {
+  return name
+    .split("-")
+    .map((word) => word && word[0].toUpperCase() + word.slice(1))
+    .join("");
+}
+
+/**
+ * Find the opening tags in markup as `{ name, path, start, loc, props,
+ * attributes }` entries: the tag name as written and its dotted parts
+ * (`<Ui.Button>` -> ["Ui", "Button"]), its offset and position as Babel
+ * gives node positions, the props passed and the offsets of the attributes,
+ * as returned by readAttributes()
+ */
+function findTags(markup, { kebabCase }) {
+  const tags = [];
+  const lineStarts = [0];
+  for (
+    let index = markup.indexOf("\n");
+    index !== -1;
+    index = markup.indexOf("\n", index + 1)
+  ) {
+    lineStarts.push(index + 1);
+  }
+
+  const tagPattern = /<([A-Za-z][\w-]*(?:[.:][A-Za-z][\w-]*)*)/g;
+  let match;
+  let line = 0;
+  while ((match = tagPattern.exec(markup))) {
+    // `Array<Item>` in an expression is a type, not a tag
+    if (/[\w$]/.test(markup[match.index - 1] || "")) {
+      continue;
+    }
+
+    while (
+      line + 1 < lineStarts.length &&
+      lineStarts[line + 1] <= match.index
+    ) {
+      line++;
+    }
+    const name = match[1];
+    const { props, attributes, end } = readAttributes(
+      markup,
+      tagPattern.lastIndex
+    );
+    tags.push({
+      name,
+      path:
+        kebabCase && name.includes("-") && !name.includes(".")
+          ? [pascalCase(name)]
+          : name.split("."),
+      start: match.index,
+      loc: {
+        start: { line: line + 1, column: match.index - lineStarts[line] },
+      },
+      props,
+      attributes,
+    });
+    tagPattern.lastIndex = end;
+  }
+
+  return tags;
+}
+
+/**
+ * Split a Vue, Svelte, Astro or MDX file into its script and markup, each
+ * with everything else blanked out so that positions stay the same, the
+ * extension telling how to parse the script (".ts" for `lang="ts"`) and the
+ * tags used in the markup, as returned by findTags(). Returns null for
+ * other files.
+ */
+function splitComponentFile(content, filePath) {
+  const ext = path.extname(filePath);
+  if (!formats[ext]) {
+    return null;
+  }
+
+  const { scripts, markup } = formats[ext](content);
+  const lang = scripts.map((block) => block.lang).find(Boolean) || "js";
+  const aliases = { typescript: "ts", javascript: "js" };
+  return {
+    script: keepRanges(
+      content,
+      scripts.map(({ start, end }) => [start, end])
+    ),
+    scriptExtension: `.${aliases[lang] || lang}`,
+    markup,
+    tags: findTags(markup, { kebabCase: ext === ".vue" }),
+  };
+}
+
+module.exports = {
+  splitComponentFile,
+};
@@ -0,0 +1,444 @@
+const { importedComponents } = require("./model");
+const { formatComparison } = require("./compare");
+
+// What each counting mode counts, for the report header
+const modeDescriptions = {
+  combined: "JSX elements, function calls, values and dynamic imports",
+  "jsx-only": "JSX elements only",
+  "call-only": "function calls only",
+  split:
+    "JSX elements, function calls, values and dynamic imports, listed separately",
+};
+
+// Usages other than JSX and calls, which split reports list when found
+const otherUsages = [
+  {
+    kind: "value",
+    key: "valueInstances",
+    label: "Passed as values (component={Component})",
+    title: "COMPONENTS PASSED AS VALUES (component={Component})",
+    verb: "Passed as value",
+    unit: "value(s)",
+  },
+  {
+    kind: "dynamic",
+    key: "dynamicInstances",
+    label: "Dynamic imports (lazy(() => import()))",
+    title: "DYNAMIC IMPORTS (lazy(() => import()))",
+    verb: "Imported dynamically",
+    unit: "dynamic import(s)",
+  },
+];
+
+/**
+ * One-line description of how usages were counted
+ */
+function describeCounting({ mode, skipCallsWithJSX }) {
+  return `${modeDescriptions[mode]}${
+    skipCallsWithJSX
+      ? "; calls skipped in files rendering the same component as JSX"
+      : ""
+  }`;
+}
+
+/**
+ * List the files and call sites a component was used in with the given
+ * occurrence kind (or any kind when null), most-used components first
+ */
+function generateUsageSection(components, kind, verb) {
+  const countKey = kind ? `${kind}Count` : "totalCount";
+  let report = "";
+
+  // Sort components by usage count (descending)
+  const sortedComponents = components
+    .filter((component) => component[countKey] > 0)
+    .sort((a, b) => b[countKey] - a[countKey]);
+
+  for (const component of sortedComponents) {
+    report += `${component.name}:\n`;
+    report += `  ${verb} ${component[countKey]} time(s) in:\n`;
+    component.files
+      .filter((file) => file[countKey] > 0)
+      .forEach((file) => {
+        report += `    - ${file.file} (${file[countKey]} instance(s))\n`;
+        // file:line:col so editors and terminals can jump to each call site
+        file.occurrences
+          .filter((occurrence) => !kind || occurrence.kind === kind)
+          .forEach(({ line, column, snippet, via }) => {
+            report += `        ${file.file}:${line}:${column}  ${snippet}${
+              via ? `  (via ${via})` : ""
+            }\n`;
+          });
+      });
+    report += "\n";
+  }
+
+  return report;
+}
+
+// Heading of each rollup section
+const rollupTitles = {
+  directory: ({ depth }) => `USAGE BY DIRECTORY (depth ${depth})`,
+  workspace: () => `USAGE BY WORKSPACE`,
+  owner: ({ codeowners }) => `USAGE BY OWNER (${codeowners})`,
+};
+
+/**
+ * List each group of a rollup (--group-by) with the components its files
+ * use, heaviest groups and components first
+ */
+function generateRollupSection(rollup) {
+  let report = `${rollupTitles[rollup.by](rollup)}\n`;
+  report += `------------------------------------------\n`;
+
+  if (rollup.groups.length === 0) {
+    report += `No files import the package.\n\n`;
+    return report;
+  }
+
+  for (const group of rollup.groups) {
+    report += `${group.name}: ${group.totalCount} instance(s) in ${group.fileCount} file(s)\n`;
+    for (const component of group.components) {
+      report += `  ${component.name}: ${component.totalCount} instance(s) in ${component.fileCount} file(s)\n`;
+    }
+  }
+  report += "\n";
+
+  return report;
+}
+
+/**
+ * List the local components that only render a package component, whose
+ * usages were counted as usages of it (--wrappers)
+ */
+function generateWrapperSection(components) {
+  const wrapped = components.filter((component) => component.wrappers.length);
+  if (wrapped.length === 0) {
+    return "";
+  }
+
+  let report = `WRAPPER COMPONENTS\n`;
+  report += `------------------------------------------\n`;
+  for (const component of wrapped) {
+    report += `${component.name}:\n`;
+    component.wrappers.forEach(({ name, file, line }) => {
+      report += `  - ${name} (${file}:${line})\n`;
+    });
+  }
+  report += "\n";
+
+  return report;
+}
+
+/**
+ * List the props passed to each component used as JSX, with how they were
+ * passed and their most common literal values
+ */
+function generatePropSection(components) {
+  let report = `PROP USAGE\n`;
+  report += `------------------------------------------\n`;
+
+  const withProps = components.filter((component) => component.props.length);
+  if (withProps.length === 0) {
+    report += `No props passed.\n\n`;
+    return report;
+  }
+
+  for (const component of withProps) {
+    report += `${component.name}:\n`;
+    for (const prop of component.props) {
+      const kinds = Object.entries(prop.kinds)
+        .map(([kind, count]) => `${kind}: ${count}`)
+        .join(", ");
+      report += `  ${prop.name}: ${prop.count} use(s) in ${prop.files.length} file(s) (${kinds})\n`;
+      if (prop.values.length > 0) {
+        const values = prop.values
+          .slice(0, 5)
+          .map(({ value, count }) => `${JSON.stringify(value)} (${count})`)
+          .join(", ");
+        report += `    Values: ${values}\n`;
+      }
+      prop.files.forEach((file) => {
+        report += `    - ${file}\n`;
+      });
+    }
+    report += "\n";
+  }
+
+  return report;
+}
+
+/**
+ * List the exports of the package that no scanned file imports or uses
+ */
+function generateUnusedExportsSection(pkg) {
+  let report = `EXPORTS WITH NO CONSUMERS\n`;
+  report += `------------------------------------------\n`;
+
+  if (!pkg.api) {
+    report += `Could not read the exports of ${pkg.name}. Install it, or set its directory under "packagePaths" in the config file.\n\n`;
+    return report;
+  }
+
+  const { exports, unusedExports, entryPoints } = pkg.api;
+  report += `${unusedExports.length} of ${
+    exports.length
+  } export(s) are never imported (read from ${entryPoints.join(", ")})\n`;
+  unusedExports.forEach((name) => {
+    report += `${name}\n`;
+  });
+  report += "\n";
+
+  return report;
+}
+
+// Heading of the section listing each kind of export other than components
+const kindTitles = {
+  hook: "HOOKS",
+  utility: "UTILITIES",
+  constant: "CONSTANTS",
+  type: "TYPES",
+};
+
+// Plural of each kind of export, for summaries
+const kindPlurals = {
+  component: "components",
+  hook: "hooks",
+  utility: "utilities",
+  constant: "constants",
+  type: "types",
+};
+
+/**
+ * List the hooks or utilities imported from a package with their call
+ * sites, or the constants and types imported (by name, without
+ * `import type`), whose references are not counted
+ */
+function generateKindSection(components, kind) {
+  const ofKind = components.filter((component) => component.kind === kind);
+  if (ofKind.length === 0) {
+    return "";
+  }
+
+  let report = `${kindTitles[kind]}\n`;
+  report += `------------------------------------------\n`;
+
+  if (kind === "constant" || kind === "type") {
+    for (const { name, importedIn } of ofKind) {
+      report += `${name}: imported in ${importedIn.length} file(s)\n`;
+    }
+    return `${report}\n`;
+  }
+
+  report += generateUsageSection(ofKind, null, "Used");
+  const unused = ofKind.filter((component) => !component.totalCount);
+  if (unused.length > 0) {
+    report += `Imported but never used: ${unused
+      .map(({ name }) => name)
+      .join(", ")}\n\n`;
+  }
+
+  return report;
+}
+
+/**
+ * One summary line per kind of export other than components that was
+ * imported or used
+ */
+function generateKindSummary(kinds) {
+  let report = "";
+  for (const kind of Object.keys(kindTitles)) {
+    const { imported, totalInstances } = kinds[kind];
+    if (imported || totalInstances) {
+      const label = kindPlurals[kind];
+      report += `${label[0].toUpperCase()}${label.slice(
+        1
+      )}: ${imported} imported${
+        kind === "constant" || kind === "type"
+          ? ""
+          : `, ${totalInstances} use(s)`
+      }\n`;
+    }
+  }
+  return report;
+}
+
+/**
+ * Instances of each kind of usage, as the split counting mode lists them
+ */
+function generateSplitCounts(counts) {
+  let report = `  - JSX usage (<Component/>): ${counts.jsxInstances}\n`;
+  report += `  - Function calls (Component()): ${counts.callInstances}\n`;
+  for (const { key, label } of otherUsages) {
+    if (counts[key] > 0) {
+      report += `  - ${label}: ${counts[key]}\n`;
+    }
+  }
+  return report;
+}
+
+/**
+ * Generate the report section for a single package. The split counting mode
+ * lists JSX elements, function calls and any other kinds of usage in
+ * sections of their own.
+ */
+function generatePackageReport(pkg, split) {
+  const { summary } = pkg;
+  // Hooks, utilities, constants and types get sections of their own
+  const components = pkg.components.filter(
+    (component) => component.kind === "component"
+  );
+  const imported = importedComponents(pkg).filter(
+    (component) => !component.kind || component.kind === "component"
+  );
+  const counts = summary.kinds.component;
+
+  let report = `PACKAGE "${pkg.name}"\n`;
+  report += `==========================================\n\n`;
+
+  report += `SUMMARY\n`;
+  report += `------------------------------------------\n`;
+  report += `Total imported components: ${counts.imported}\n`;
+  report += `Total component instances: ${counts.totalInstances}\n`;
+  if (split) {
+    report += generateSplitCounts(counts);
+  }
+  report += generateKindSummary(summary.kinds);
+  report += "\n";
+
+  report += `IMPORTED COMPONENTS\n`;
+  report += `------------------------------------------\n`;
+
+  for (const { name, importedIn, importSpecifiers } of imported) {
+    report += `${name}:\n`;
+    // Only worth listing when deep imports were involved
+    if (importSpecifiers.some((specifier) => specifier !== pkg.name)) {
+      report += `  Imported from: ${importSpecifiers.join(", ")}\n`;
+    }
+    report += `  Imported in ${importedIn.length} file(s):\n`;
+    importedIn.forEach((file) => {
+      report += `    - ${file}\n`;
+    });
+    report += "\n";
+  }
+
+  if (split) {
+    report += `JSX COMPONENT USAGE (<Component />)\n`;
+    report += `------------------------------------------\n`;
+    report +=
+      counts.jsxInstances === 0
+        ? `No JSX usage found.\n\n`
+        : generateUsageSection(components, "jsx", "Used as JSX");
+
+    report += `FUNCTION CALL USAGE (Component())\n`;
+    report += `------------------------------------------\n`;
+    report +=
+      counts.callInstances === 0
+        ? `No function call usage found.\n\n`
+        : generateUsageSection(components, "call", "Called as function");
+
+    for (const { kind, key, title, verb } of otherUsages) {
+      if (counts[key] > 0) {
+        report += `${title}\n`;
+        report += `------------------------------------------\n`;
+        report += generateUsageSection(components, kind, verb);
+      }
+    }
+  } else {
+    report += `COMPONENT INSTANCES\n`;
+    report += `------------------------------------------\n`;
+    report += generateUsageSection(components, null, "Used");
+  }
+
+  for (const kind of Object.keys(kindTitles)) {
+    report += generateKindSection(pkg.components, kind);
+  }
+
+  pkg.rollups.forEach((rollup) => {
+    report += generateRollupSection(rollup);
+  });
+  report += generateWrapperSection(components);
+  report += generatePropSection(components);
+
+  report += `COMPONENTS WITH NO INSTANCES FOUND\n`;
+  report += `------------------------------------------\n`;
+  const unusedComponents = imported.filter(
+    (c) => !c.totalCount && !c.name.startsWith("*")
+  );
+
+  if (unusedComponents.length === 0) {
+    report += `All imported components are used.\n\n`;
+  } else {
+    unusedComponents.forEach(({ name }) => {
+      report += `${name}\n`;
+    });
+    report += "\n";
+  }
+
+  report += generateUnusedExportsSection(pkg);
+
+  return report;
+}
+
+/**
+ * Render the report data as the plain-text report
+ */
+function renderText(model) {
+  const packageList = model.packages.map((pkg) => `"${pkg.name}"`).join(", ");
+  let report = `Component Usage Report for ${packageList} package(s)\n`;
+  report += `Generated on: ${model.generatedAt}\n`;
+  report += `Counting: ${describeCounting(model.counting)}\n`;
+  report += `==========================================\n\n`;
+
+  if (model.comparison) {
+    report += formatComparison(model.comparison);
+  }
+
+  const split = model.counting.mode === "split";
+  for (const pkg of model.packages) {
+    report += generatePackageReport(pkg, split);
+  }
+
+  if (model.packages.length > 1) {
+    report += generateCombinedSummary(model, split);
+  }
+
+  return report;
+}
+
+/**
+ * Generate totals across all scanned packages
+ */
+function generateCombinedSummary(model, split) {
+  let report = `COMBINED SUMMARY\n`;
+  report += `------------------------------------------\n`;
+
+  for (const { name, summary } of model.packages) {
+    const counts = summary.kinds.component;
+    report += split
+      ? `${name}: ${counts.imported} imported component(s), ${
+          counts.jsxInstances
+        } JSX usage(s), ${counts.callInstances} function call(s)${otherUsages
+          .filter(({ key }) => counts[key] > 0)
+          .map(({ key, unit }) => `, ${counts[key]} ${unit}`)
+          .join("")}\n`
+      : `${name}: ${counts.imported} imported component(s), ${counts.totalInstances} instance(s)\n`;
+  }
+
+  const counts = model.summary.kinds.component;
+  report += `\nTotal packages: ${model.summary.packages}\n`;
+  report += `Total imported components: ${counts.imported}\n`;
+  report += `Total component instances: ${counts.totalInstances}\n`;
+  if (split) {
+    report += generateSplitCounts(counts);
+  }
+  report += generateKindSummary(model.summary.kinds);
+
+  return report;
+}
+
+module.exports = {
+  kindPlurals,
+  describeCounting,
+  renderText,
+};
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const ignore = require("ignore");
+const picomatch = require("picomatch");
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+const { findRepositoryRoot, isWithin, relativePath } = require("./paths");
+
+/**
+ * Rules of the .gitignore file in a directory, or null when it has none.
+ * Patterns in it apply to paths relative to that directory.
+ */
+async function readGitignore(dir) {
+  let content;
+  try {
+    content = await readFile(path.join(dir, ".gitignore"), "utf8");
+  } catch {
+    return null;
+  }
+  return { dir, rules: ignore().add(content) };
+}
+
+/**
+ * Rules of the .gitignore files above `dir` up to the root of its git
+ * repository, outermost first. None when `dir` is not inside a repository.
+ */
+async function parentGitignores(dir) {
+  const root = await findRepositoryRoot(dir);
+  if (!root) {
+    return [];
+  }
+
+  const parents = [];
+  for (let current = path.resolve(dir); current !== root; ) {
+    current = path.dirname(current);
+    parents.unshift(current);
+  }
+
+  const scopes = await Promise.all(parents.map(readGitignore));
+  return scopes.filter(Boolean);
+}
+
+function isIgnored(entryPath, isDirectory, scopes) {
+  return scopes.some(({ dir, rules }) => {
+    // A trailing slash lets directory-only patterns such as "build/" match
+    const relative = relativePath(dir, entryPath);
+    return rules.ignores(isDirectory ? `${relative}/` : relative);
+  });
+}
+
+function matcher(patterns) {
+  return patterns.length > 0 ? picomatch(patterns, { dot: true }) : () => false;
+}
+
+/**
+ * Decide from its path relative to the scanned directory whether a file is
+ * scanned: it has to match `include` (when set), and test and story files
+ * are kept, dropped or scanned exclusively as `tests` and `stories` say
+ */
+function fileSelector({ include, tests, stories, testFiles, storyFiles }) {
+  const included = include.length > 0 ? matcher(include) : () => true;
+  const categories = [
+    { mode: tests, matches: matcher(testFiles) },
+    { mode: stories, matches: matcher(storyFiles) },
+  ];
+  const onlyCategories = categories.some(({ mode }) => mode === "only");
+
+  return (relative) => {
+    if (!included(relative)) {
+      return false;
+    }
+    const category = categories.find(({ matches }) => matches(relative));
+    if (onlyCategories) {
+      return Boolean(category) && category.mode === "only";
+    }
+    return !category || category.mode !== "exclude";
+  };
+}
+
+async function* walkDirectory(dirPath, scopes, context) {
+  let entries;
+  try {
+    entries = await readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    // Without its root there is nothing to scan
+    if (dirPath === context.rootDir) {
+      throw error;
+    }
+    context.onError(dirPath, error);
+    return;
+  }
+
+  if (context.gitignore) {
+    const gitignore = await readGitignore(dirPath);
+    if (gitignore) {
+      scopes = [...scopes, gitignore];
+    }
+  }
+
+  entries.sort((a, b) => (a.name < b.name ? -1 : 1));
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    let isDirectory = entry.isDirectory();
+    let isFile = entry.isFile();
+
+    // Dirents describe the link itself, so follow symlinks with a stat
+    if (entry.isSymbolicLink()) {
+      try {
+        const entryStats = await stat(entryPath);
+        isDirectory = entryStats.isDirectory();
+        isFile = entryStats.isFile();
+      } catch (error) {
+        context.onError(entryPath, error);
+        continue;
+      }
+    }
+
+    if (isIgnored(entryPath, isDirectory, scopes)) {
+      continue;
+    }
+
+    if (isDirectory) {
+      yield* walkDirectory(entryPath, scopes, context);
+    } else if (
+      isFile &&
+      context.extensions.includes(path.extname(entryPath)) &&
+      context.selects(relativePath(context.rootDir, entryPath))
+    ) {
+      yield entryPath;
+    }
+  }
+}
+
+function walkContext(rootDir, options, onError) {
+  return {
+    rootDir,
+    onError,
+    extensions: options.extensions,
+    gitignore: options.gitignore,
+    selects: fileSelector(options),
+  };
+}
+
+async function rootScopes(rootDir, options) {
+  const scopes = [{ dir: rootDir, rules: ignore().add(options.ignore) }];
+  if (options.gitignore) {
+    scopes.push(...(await parentGitignores(rootDir)));
+  }
+  return scopes;
+}
+
+/**
+ * Recursively walk a directory, yielding the path of every file to scan.
+ * `ignore` patterns use .gitignore syntax relative to the scanned directory,
+ * and .gitignore files inside it and above it (up to the repository root)
+ * are honored unless `gitignore` is false. Entries are visited in sorted
+ * order so every run sees files in the same order, however the filesystem
+ * lists them. Fails when `rootDir` cannot be read; directories and links
+ * below it that cannot be are skipped and passed to `onError(path, error)`.
+ */
+async function* walkFiles(rootDir, options, onError) {
+  yield* walkDirectory(
+    rootDir,
+    await rootScopes(rootDir, options),
+    walkContext(rootDir, options, onError)
+  );
+}
+
+/**
+ * Yield the files among `paths` inside `rootDir` that walkFiles() would,
+ * walking those that are directories, without walking the rest of the
+ * tree. Paths that no longer exist are skipped.
+ */
+async function* walkPaths(rootDir, paths, options, onError) {
+  const context = walkContext(rootDir, options, onError);
+  const baseScopes = await rootScopes(rootDir, options);
+  const dirScopes = new Map();
+
+  // Scopes in effect inside a directory, or null when it is ignored
+  async function scopesOf(dirPath) {
+    if (dirPath === path.resolve(rootDir)) {
+      const gitignore = options.gitignore && (await readGitignore(rootDir));
+      return gitignore ? [...baseScopes, gitignore] : baseScopes;
+    }
+    if (!dirScopes.has(dirPath)) {
+      dirScopes.set(
+        dirPath,
+        (async () => {
+          const scopes = await scopesOf(path.dirname(dirPath));
+          if (!scopes || isIgnored(dirPath, true, scopes)) {
+            return null;
+          }
+          const gitignore = options.gitignore && (await readGitignore(dirPath));
+          return gitignore ? [...scopes, gitignore] : scopes;
+        })()
+      );
+    }
+    return dirScopes.get(dirPath);
+  }
+
+  // Paths inside another one listed are walked along with it
+  const unique = Array.from(new Set(paths.map((p) => path.resolve(p))));
+  const outermost = unique.filter(
+    (entryPath) =>
+      !unique.some((other) => other !== entryPath && isWithin(other, entryPath))
+  );
+
+  for (const entryPath of outermost) {
+    const relative = path.relative(rootDir, entryPath);
+    if (!relative || !isWithin(rootDir, entryPath)) {
+      continue;
+    }
+    // Keep paths in the form walkFiles() yields them
+    const walkedPath = path.join(rootDir, relative);
+
+    let entryStats;
+    try {
+      entryStats = await stat(walkedPath);
+    } catch {
+      continue;
+    }
+    const scopes = await scopesOf(path.resolve(path.dirname(walkedPath)));
+    if (!scopes || isIgnored(walkedPath, entryStats.isDirectory(), scopes)) {
+      continue;
+    }
+
+    if (entryStats.isDirectory()) {
+      yield* walkDirectory(walkedPath, scopes, context);
+    } else if (
+      entryStats.isFile() &&
+      context.extensions.includes(path.extname(walkedPath)) &&
+      context.selects(relativePath(rootDir, walkedPath))
+    ) {
+      yield walkedPath;
+    }
+  }
+}
+
+module.exports = {
+  walkFiles,
+  walkPaths,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const { ConfigError } = require("./config");
+
+// Quiet time after the last change before reacting, so that a save touching
+// several files, or a branch switch, is handled in one go
+const settleDelay = 100;
+
+/**
+ * Watch a directory tree and call `onChange(paths)` with the paths of the
+ * files and directories changed since the last call, once changes settle.
+ * Calls never overlap: changes made while one runs are collected for the
+ * next. `onChange` should handle its own errors. Returns `{ close() }`, or
+ * throws a ConfigError where Node cannot watch a directory tree.
+ */
+function watchDirectory(dir, onChange) {
+  let changed = new Set();
+  let timer = null;
+  let running = false;
+
+  async function flush() {
+    timer = null;
+    if (running || changed.size === 0) {
+      return;
+    }
+    const paths = Array.from(changed);
+    changed = new Set();
+    running = true;
+    try {
+      await onChange(paths);
+    } finally {
+      running = false;
+    }
+    if (changed.size > 0) {
+      schedule();
+    }
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(flush, settleDelay);
+  }
+
+  let watcher;
+  try {
+    watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+      // Some platforms report events without a file name; a null path makes
+      // the next update analyze everything
+      changed.add(filename ? path.join(dir, filename.toString()) : null);
+      schedule();
+    });
+  } catch (error) {
+    // Node before 20 cannot watch subdirectories on Linux
+    if (error.code === "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+      throw new ConfigError(
+        `--watch needs Node 20 or later on this platform; running Node ${process.versions.node}`
+      );
+    }
+    throw error;
+  }
+  watcher.on("error", (error) => {
+    console.error(`Error watching ${dir}:`, error);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+module.exports = {
+  watchDirectory,
+};
@@ -0,0 +1,12 @@
+// Worker thread entry point: analyzes files sent by lib/workers.js
+const { parentPort, workerData } = require("worker_threads");
+const { analyzeFile } = require("./analyze");
+
+parentPort.on("message", async ({ id, filePath }) => {
+  try {
+    const result = await analyzeFile(filePath, workerData.options);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: String(error) });
+  }
+});
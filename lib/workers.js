@@ -0,0 +1,84 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * Start `size` worker threads that analyze files with the given options.
+ * `analyze(filePath)` resolves with the same result as analyzeFile() would
+ * in this thread; call `close()` once all files are done.
+ */
+function createWorkerPool(size, options) {
+  const pending = new Map();
+  const load = new Map();
+  let nextId = 0;
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(path.join(__dirname, "worker.js"), {
+      workerData: { options },
+    });
+    load.set(worker, 0);
+
+    worker.on("message", ({ id, result, error }) => {
+      const { resolve, reject } = pending.get(id);
+      pending.delete(id);
+      load.set(worker, load.get(worker) - 1);
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(result);
+      }
+    });
+    worker.on("error", (error) => retire(worker, error));
+    worker.on("exit", (code) =>
+      retire(worker, new Error(`Worker thread stopped with exit code ${code}`))
+    );
+
+    return worker;
+  });
+
+  /**
+   * Take a crashed or stopped worker out of the pool, failing everything it
+   * was still working on, since it will never answer
+   */
+  function retire(worker, error) {
+    const index = workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+    workers.splice(index, 1);
+    load.delete(worker);
+    for (const [id, job] of pending) {
+      if (job.worker === worker) {
+        pending.delete(id);
+        job.reject(error);
+      }
+    }
+  }
+
+  return {
+    analyze(filePath) {
+      if (workers.length === 0) {
+        return Promise.reject(new Error("No worker threads left to analyze"));
+      }
+
+      // Hand the file to the least busy worker
+      const worker = workers.reduce((a, b) =>
+        load.get(b) < load.get(a) ? b : a
+      );
+      const id = nextId++;
+      load.set(worker, load.get(worker) + 1);
+
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, worker });
+        worker.postMessage({ id, filePath });
+      });
+    },
+
+    close() {
+      return Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+};
@@ -3,322 +3,320 @@
 const fs = require("fs");
 const path = require("path");
 const { promisify } = require("util");
-const readdir = promisify(fs.readdir);
-const stat = promisify(fs.stat);
-const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
-
-// Configuration (customize these values)
-const targetPackageName = "your-package-name"; // Replace with the actual npm package name
-const fileExtensions = [".ts", ".tsx", ".js", ".jsx"]; // Extensions to scan
-const ignorePatterns = ["node_modules", "dist", "build", ".git"]; // Directories to ignore
-
-// Regex patterns for different import styles
-const namedImportPattern = new RegExp(
-  `import\\s+{([^}]*)}\\s+from\\s+['"]${targetPackageName}['"]`,
-  "g"
-);
-const defaultImportPattern = new RegExp(
-  `import\\s+([^{\\s]+)\\s+from\\s+['"]${targetPackageName}['"]`,
-  "g"
-);
-const namespaceImportPattern = new RegExp(
-  `import\\s+\\*\\s+as\\s+([^\\s]+)\\s+from\\s+['"]${targetPackageName}['"]`,
-  "g"
-);
-const requirePattern = new RegExp(
-  `(?:const|let|var)\\s+{([^}]*)}\\s+=\\s+require\\s*\\(\\s*['"]${targetPackageName}['"]\\s*\\)`,
-  "g"
-);
-const requireDefaultPattern = new RegExp(
-  `(?:const|let|var)\\s+([^{\\s]+)\\s+=\\s+require\\s*\\(\\s*['"]${targetPackageName}['"]\\s*\\)`,
-  "g"
-);
-
-// Track component usage
-const componentUsage = {};
-const componentInstances = {};
+const mkdir = promisify(fs.mkdir);
+const { scan, createScanner } = require("./lib/scan");
+const { watchDirectory } = require("./lib/watch");
+const { getReporter } = require("./lib/reporters");
+const { cacheDirectory } = require("./lib/cache");
+const { isWithin } = require("./lib/paths");
+const { describeCounting, kindPlurals } = require("./lib/text");
+const {
+  componentInstances,
+  loadBaseline,
+  compareModels,
+} = require("./lib/compare");
+const { loadRules, evaluateRules, formatResults } = require("./lib/check");
+const { loadPropMapping, migrate, formatDiff } = require("./lib/migrate");
+const {
+  ConfigError,
+  helpText,
+  loadOptions,
+  exitWithUsageError,
+} = require("./lib/cli");
 
 /**
- * Recursively walk a directory and process files
+ * Write an output file, creating its directory if needed
  */
-async function walkDirectory(dirPath) {
-  try {
-    const entries = await readdir(dirPath);
-
-    for (const entry of entries) {
-      const entryPath = path.join(dirPath, entry);
-
-      // Skip ignored directories
-      if (ignorePatterns.some((pattern) => entryPath.includes(pattern))) {
-        continue;
-      }
-
-      const entryStats = await stat(entryPath);
-
-      if (entryStats.isDirectory()) {
-        await walkDirectory(entryPath);
-      } else if (
-        entryStats.isFile() &&
-        fileExtensions.includes(path.extname(entryPath))
-      ) {
-        await processFile(entryPath);
-      }
-    }
-  } catch (error) {
-    console.error(`Error walking directory ${dirPath}:`, error);
-  }
+async function writeOutput(filePath, content) {
+  const outputPath = path.resolve(filePath);
+  await mkdir(path.dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, content);
+  return outputPath;
 }
 
 /**
- * Process a single file to find component imports and usages
+ * Whether two reports counted usages the same way. Reports from before
+ * counting modes existed are assumed to match.
  */
-async function processFile(filePath) {
-  try {
-    const content = await readFile(filePath, "utf8");
-    const fileRelativePath = path.relative(process.cwd(), filePath);
-
-    // Find all imports from the target package
-    findImports(content, fileRelativePath);
+function sameCounting(a, b) {
+  return (
+    !a || !b || (a.mode === b.mode && a.skipCallsWithJSX === b.skipCallsWithJSX)
+  );
+}
 
-    // Find component usages in the file content
-    if (Object.keys(componentUsage).length > 0) {
-      findComponentUsages(content, fileRelativePath);
-    }
-  } catch (error) {
-    console.error(`Error processing file ${filePath}:`, error);
+async function saveBaseline(model, config) {
+  if (config.saveBaseline) {
+    const baselinePath = await writeOutput(
+      config.saveBaseline,
+      `${JSON.stringify(model, null, 2)}\n`
+    );
+    console.log(`Baseline saved: ${baselinePath}`);
   }
 }
 
 /**
- * Extract imported components from the target package
+ * Add the comparison with the baseline, if any, then write the report and
+ * the baseline snapshot, if asked for
  */
-function findImports(content, filePath) {
-  // Process named imports: import { Component1, Component2 } from 'package'
-  let match;
-  while ((match = namedImportPattern.exec(content)) !== null) {
-    const importedComponents = match[1]
-      .split(",")
-      .map((s) => s.trim().split(" as ")[0].trim());
-    importedComponents.forEach((component) => {
-      if (!componentUsage[component]) {
-        componentUsage[component] = new Set();
-      }
-      componentUsage[component].add(filePath);
-    });
-  }
+async function writeReports(model, config, baseline) {
+  await saveBaseline(model, config);
 
-  // Process default imports: import DefaultComponent from 'package'
-  while ((match = defaultImportPattern.exec(content)) !== null) {
-    const defaultComponent = match[1].trim();
-    if (defaultComponent !== targetPackageName) {
-      // Skip if it's the package name itself
-      if (!componentUsage[defaultComponent]) {
-        componentUsage[defaultComponent] = new Set();
-      }
-      componentUsage[defaultComponent].add(filePath);
-    }
+  if (baseline) {
+    model.comparison = compareModels(baseline, model);
   }
 
-  // Process namespace imports: import * as Components from 'package'
-  while ((match = namespaceImportPattern.exec(content)) !== null) {
-    const namespaceAlias = match[1].trim();
-    if (!componentUsage[`*${namespaceAlias}`]) {
-      componentUsage[`*${namespaceAlias}`] = new Set();
+  const report = await getReporter(config.format).render(model);
+  return writeOutput(config.out, report);
+}
+
+function logSummary(model) {
+  for (const { name, summary } of model.packages) {
+    const counts = summary.kinds.component;
+    console.log(
+      `${name}: found ${counts.imported} imported components with ${counts.totalInstances} total instances.`
+    );
+    if (model.counting.mode === "split") {
+      console.log(`  JSX usage: ${counts.jsxInstances} instances`);
+      console.log(`  Function call usage: ${counts.callInstances} instances`);
+      console.log(`  Passed as values: ${counts.valueInstances} instances`);
+      console.log(`  Dynamic imports: ${counts.dynamicInstances} instances`);
     }
-    componentUsage[`*${namespaceAlias}`].add(filePath);
-  }
 
-  // Process require syntax: const { Component1, Component2 } = require('package')
-  while ((match = requirePattern.exec(content)) !== null) {
-    const importedComponents = match[1]
-      .split(",")
-      .map((s) => s.trim().split(" as ")[0].split(":")[0].trim());
-    importedComponents.forEach((component) => {
-      if (!componentUsage[component]) {
-        componentUsage[component] = new Set();
-      }
-      componentUsage[component].add(filePath);
-    });
+    const others = Object.entries(summary.kinds)
+      .filter(([kind, { imported }]) => kind !== "component" && imported)
+      .map(([kind, { imported }]) => `${kindPlurals[kind]} (${imported})`);
+    if (others.length > 0) {
+      console.log(`  Also imported: ${others.join(", ")}`);
+    }
   }
 
-  // Process require default: const Package = require('package')
-  while ((match = requireDefaultPattern.exec(content)) !== null) {
-    const defaultComponent = match[1].trim();
-    if (!componentUsage[defaultComponent]) {
-      componentUsage[defaultComponent] = new Set();
+  if (model.comparison) {
+    for (const { name, before, after } of model.comparison.packages) {
+      console.log(`${name}: ${before} -> ${after} instances since baseline`);
     }
-    componentUsage[defaultComponent].add(filePath);
   }
 }
 
+function formatChange(change) {
+  return change > 0 ? `+${change}` : String(change);
+}
+
 /**
- * Find actual component usages in the file content
+ * Scan, write the report and keep it up to date until interrupted: when
+ * files change, only those are analyzed again
  */
-function findComponentUsages(content, filePath) {
-  // For each imported component, count usages
-  for (const component of Object.keys(componentUsage)) {
-    // Skip namespace imports for direct counting
-    if (component.startsWith("*")) {
-      const namespaceAlias = component.substring(1);
-      // Look for patterns like: NamespaceAlias.Component
-      const namespacePattern = new RegExp(
-        `${namespaceAlias}\\.([A-Za-z0-9_]+)`,
-        "g"
-      );
-      let nsMatch;
-
-      while ((nsMatch = namespacePattern.exec(content)) !== null) {
-        const usedComponent = `${namespaceAlias}.${nsMatch[1]}`;
-        if (!componentInstances[usedComponent]) {
-          componentInstances[usedComponent] = [];
-        }
-        componentInstances[usedComponent].push(filePath);
-      }
-      continue;
-    }
+async function watchAndReport(scanOptions, config, baseline) {
+  const scanner = await createScanner(scanOptions);
 
-    // For normal components, look for JSX usage: <Component> or <Component.SubComponent>
-    // and function calls: Component(...)
-    const jsxPattern = new RegExp(
-      `<${component}[\\s/>]|<${component}\\.[A-Za-z0-9_]+[\\s/>]`,
-      "g"
-    );
-    const functionCallPattern = new RegExp(`\\b${component}\\(`, "g");
+  const first = await scanner.update();
+  const reportPath = await writeReports(first.model, config, baseline);
+  console.log(`Report generated: ${reportPath}`);
+  logSummary(first.model);
 
-    let jsxMatch;
-    while ((jsxMatch = jsxPattern.exec(content)) !== null) {
-      if (!componentInstances[component]) {
-        componentInstances[component] = [];
-      }
-      componentInstances[component].push(filePath);
+  // The reports and the cache may be written inside the watched directory
+  const outputs = new Set(
+    [config.out, config.saveBaseline]
+      .filter(Boolean)
+      .map((filePath) => path.resolve(filePath))
+  );
+  const cacheDir = config.cache
+    ? path.resolve(cacheDirectory(config.targetDir, config.cacheLocation))
+    : null;
+  const isOutput = (filePath) =>
+    outputs.has(path.resolve(filePath)) ||
+    (cacheDir !== null && isWithin(cacheDir, filePath));
+  const totals = new Map(
+    first.model.packages.map((pkg) => [pkg.name, componentInstances(pkg)])
+  );
+
+  const watcher = watchDirectory(config.targetDir, async (paths) => {
+    const changedPaths = paths.filter(
+      (filePath) => filePath === null || !isOutput(filePath)
+    );
+    if (changedPaths.length === 0) {
+      return;
     }
 
-    let funcMatch;
-    while ((funcMatch = functionCallPattern.exec(content)) !== null) {
-      if (!componentInstances[component]) {
-        componentInstances[component] = [];
+    try {
+      const { model, changedFiles } = await scanner.update(
+        changedPaths.includes(null) ? undefined : changedPaths
+      );
+      if (changedFiles.length === 0) {
+        return;
       }
-      componentInstances[component].push(filePath);
+      await writeReports(model, config, baseline);
+
+      const time = new Date().toLocaleTimeString();
+      const changes = model.packages.map((pkg) => {
+        const instances = componentInstances(pkg);
+        const change = instances - (totals.get(pkg.name) || 0);
+        totals.set(pkg.name, instances);
+        return `${pkg.name} ${instances} (${formatChange(change)})`;
+      });
+      console.log(
+        `[${time}] ${
+          changedFiles.length
+        } file(s) changed; instances: ${changes.join(", ")}`
+      );
+    } catch (error) {
+      console.error("Error:", error);
     }
-  }
+  });
+  console.log("Watching for changes, press Ctrl+C to stop");
+
+  process.once("SIGINT", () => {
+    watcher.close();
+    scanner.close();
+  });
 }
 
 /**
- * Generate a report of component usage
+ * Run the migrate command: rewrite the files, or with --dry-run print what
+ * would change as a unified diff, and list the files left to fix by hand
  */
-function generateReport() {
-  let report = `Component Usage Report for "${targetPackageName}" package\n`;
-  report += `Generated on: ${new Date().toISOString()}\n`;
-  report += `==========================================\n\n`;
-
-  report += `SUMMARY\n`;
-  report += `------------------------------------------\n`;
-  report += `Total imported components: ${
-    Object.keys(componentUsage).length
-  }\n`;
-
-  const totalInstances = Object.values(componentInstances).reduce(
-    (sum, instances) => sum + instances.length,
-    0
+async function runMigration(migrateOptions, config) {
+  const props = config.propsFile ? await loadPropMapping(config.propsFile) : {};
+  const target = config.toPackage
+    ? `${config.to || config.from} from ${config.toPackage}`
+    : config.to;
+  console.log(
+    `Migrating ${config.from} from ${config.packages.join(
+      ", "
+    )} to ${target} in ${config.targetDir}...`
   );
 
-  report += `Total component instances: ${totalInstances}\n\n`;
-
-  report += `IMPORTED COMPONENTS\n`;
-  report += `------------------------------------------\n`;
-
-  for (const component of Object.keys(componentUsage).sort()) {
-    const files = Array.from(componentUsage[component]);
-    report += `${component}:\n`;
-    report += `  Imported in ${files.length} file(s):\n`;
-    files.forEach((file) => {
-      report += `    - ${file}\n`;
-    });
-    report += "\n";
+  const results = await migrate({
+    ...migrateOptions,
+    from: config.from,
+    to: config.to,
+    toPackage: config.toPackage,
+    props,
+    dryRun: config.dryRun,
+  });
+
+  const changed = results.filter((result) => result.after !== result.before);
+  for (const result of results) {
+    if (config.dryRun && result.after !== result.before) {
+      process.stdout.write(formatDiff(result));
+    }
+    for (const warning of result.warnings) {
+      console.warn(`Warning: ${result.file}: ${warning}`);
+    }
   }
-
-  report += `COMPONENT INSTANCES\n`;
-  report += `------------------------------------------\n`;
-
-  // Sort components by usage count (descending)
-  const sortedComponents = Object.keys(componentInstances).sort(
-    (a, b) => componentInstances[b].length - componentInstances[a].length
+  console.log(
+    `${changed.length} file(s) ${config.dryRun ? "would change" : "changed"}`
   );
+}
 
-  for (const component of sortedComponents) {
-    const instances = componentInstances[component];
-    report += `${component}:\n`;
-    report += `  Used ${instances.length} time(s) in:\n`;
+/**
+ * Main function. `scriptDefaults` replace the built-in defaults, below any
+ * config file and command-line flags.
+ */
+async function main(scriptDefaults) {
+  const scriptName = path.basename(process.argv[1]);
 
-    // Group by file path
-    const fileGroups = {};
-    instances.forEach((file) => {
-      if (!fileGroups[file]) {
-        fileGroups[file] = 0;
-      }
-      fileGroups[file]++;
-    });
+  const config = await loadOptions(process.argv.slice(2), scriptDefaults);
 
-    Object.keys(fileGroups)
-      .sort()
-      .forEach((file) => {
-        report += `    - ${file} (${fileGroups[file]} instance(s))\n`;
-      });
-    report += "\n";
+  if (config.help) {
+    console.log(helpText(scriptName));
+    return;
   }
 
-  report += `COMPONENTS WITH NO INSTANCES FOUND\n`;
-  report += `------------------------------------------\n`;
-  const unusedComponents = Object.keys(componentUsage).filter(
-    (c) => !componentInstances[c]
-  );
+  // Read the baseline up front so a bad path fails before the scan
+  const baseline = config.compare ? await loadBaseline(config.compare) : null;
+  const rules =
+    config.command === "check"
+      ? await loadRules(config.rules, Boolean(baseline))
+      : null;
 
-  if (unusedComponents.length === 0) {
-    report += `All imported components are used.\n\n`;
-  } else {
-    unusedComponents.sort().forEach((component) => {
-      report += `${component}\n`;
-    });
-    report += "\n";
+  if (config.configFile) {
+    console.log(`Using configuration from ${config.configFile}`);
+  }
+  const counting = {
+    mode: config.mode,
+    skipCallsWithJSX: config.skipCallsWithJSX,
+  };
+  if (baseline && !sameCounting(baseline.counting, counting)) {
+    console.warn(
+      `Warning: ${
+        config.compare
+      } counted usages differently (${describeCounting(
+        baseline.counting
+      )}), so the changes include the difference in counting`
+    );
   }
 
-  return report;
-}
-
-/**
- * Main function
- */
-async function main() {
-  // Get the target directory from command line args or use current directory
-  const targetDir = process.argv[2] || process.cwd();
+  // Scan with the resolved options; the rest only matter to the CLI
+  const {
+    command,
+    watch,
+    targetDir,
+    configFile,
+    from,
+    to,
+    toPackage,
+    propsFile,
+    dryRun,
+    ...options
+  } = config;
+
+  if (command === "migrate") {
+    await runMigration({ ...options, dir: targetDir }, config);
+    return;
+  }
 
   console.log(
-    `Scanning ${targetDir} for components from ${targetPackageName}...`
+    `Scanning ${config.targetDir} for components from ${config.packages.join(
+      ", "
+    )}...`
   );
+  const scanOptions = {
+    ...options,
+    dir: targetDir,
+    generator: scriptName,
+    progress: config.progress ?? process.stderr.isTTY,
+  };
+
+  if (watch) {
+    await watchAndReport(scanOptions, config, baseline);
+    return;
+  }
 
-  // Process files
-  await walkDirectory(targetDir);
-
-  // Generate and save report
-  const report = generateReport();
-  const reportPath = path.join(process.cwd(), `component-usage-report.txt`);
+  const model = await scan(scanOptions);
 
-  await writeFile(reportPath, report);
+  if (config.command === "check") {
+    await saveBaseline(model, config);
+    const results = evaluateRules(rules, model, baseline);
+    process.stdout.write(formatResults(results));
+    if (results.some((result) => !result.passed)) {
+      process.exitCode = 1;
+    }
+    return;
+  }
 
+  const reportPath = await writeReports(model, config, baseline);
   console.log(`Report generated: ${reportPath}`);
-  console.log(
-    `Found ${
-      Object.keys(componentUsage).length
-    } imported components with ${Object.values(componentInstances).reduce(
-      (sum, instances) => sum + instances.length,
-      0
-    )} total instances.`
-  );
+  logSummary(model);
+}
+
+/**
+ * Run the command line, exiting with status 2 on usage errors
+ */
+function run(scriptDefaults = {}) {
+  main(scriptDefaults).catch((error) => {
+    if (error instanceof ConfigError) {
+      exitWithUsageError(error, path.basename(process.argv[1]));
+    }
+    console.error("Error:", error);
+    process.exit(1);
+  });
+}
+
+if (require.main === module) {
+  run();
 }
 
-// Run the script
-main().catch((error) => {
-  console.error("Error:", error);
-  process.exit(1);
-});
+module.exports = {
+  run,
+};